@@ -0,0 +1,210 @@
+// Dashboard webview script - runs inside the webview, no external dependencies.
+(function () {
+    const vscode = acquireVsCodeApi();
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const COLORS = [
+        '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+        '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'
+    ];
+
+    const fromInput = document.getElementById('from');
+    const toInput = document.getElementById('to');
+    const groupBySelect = document.getElementById('groupBy');
+    const statusEl = document.getElementById('status');
+    const chartEl = document.getElementById('chart');
+    const totalsEl = document.getElementById('totals');
+
+    let metrics = [];
+
+    /**
+     * Format a Date as YYYY-MM-DD in local time
+     */
+    function toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Every YYYY-MM-DD between two dates, inclusive
+     */
+    function dateRange(from, to) {
+        const dates = [];
+        const current = new Date(`${from}T00:00:00`);
+        const end = new Date(`${to}T00:00:00`);
+        while (current <= end && dates.length < 3660) {
+            dates.push(toDateKey(current));
+            current.setDate(current.getDate() + 1);
+        }
+        return dates;
+    }
+
+    function createSvg(tag, attributes) {
+        const el = document.createElementNS(SVG_NS, tag);
+        for (const [name, value] of Object.entries(attributes)) {
+            el.setAttribute(name, String(value));
+        }
+        return el;
+    }
+
+    function requestData() {
+        statusEl.textContent = 'Loading...';
+        vscode.setState({ from: fromInput.value, to: toInput.value, groupBy: groupBySelect.value });
+        vscode.postMessage({ type: 'load', from: fromInput.value, to: toInput.value });
+    }
+
+    /**
+     * Sum requests per day and per group value
+     */
+    function buildSeries(groupBy) {
+        const days = dateRange(fromInput.value, toInput.value);
+        const groups = new Map();
+        for (const row of metrics) {
+            const group = row[groupBy] || 'unknown';
+            if (!groups.has(group)) {
+                groups.set(group, {});
+            }
+            const perDay = groups.get(group);
+            perDay[row.date] = (perDay[row.date] || 0) + row.numRequests;
+        }
+
+        const ordered = [...groups.entries()]
+            .map(([name, perDay]) => ({ name, perDay, total: Object.values(perDay).reduce((a, b) => a + b, 0) }))
+            .sort((a, b) => b.total - a.total);
+        return { days, groups: ordered };
+    }
+
+    function renderChart(days, groups) {
+        chartEl.replaceChildren();
+        const width = Math.max(320, chartEl.clientWidth || 600);
+        const height = 220;
+        const padding = { top: 10, right: 10, bottom: 40, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const dayTotals = days.map(day => groups.reduce((sum, g) => sum + (g.perDay[day] || 0), 0));
+        const max = Math.max(1, ...dayTotals);
+        const barWidth = plotWidth / Math.max(1, days.length);
+
+        const svg = createSvg('svg', { width, height, role: 'img', 'aria-label': 'Daily requests' });
+
+        // Axis and max label
+        svg.appendChild(createSvg('line', {
+            x1: padding.left, y1: padding.top + plotHeight,
+            x2: padding.left + plotWidth, y2: padding.top + plotHeight,
+            class: 'axis'
+        }));
+        const maxLabel = createSvg('text', { x: padding.left - 4, y: padding.top + 10, 'text-anchor': 'end', class: 'label' });
+        maxLabel.textContent = String(max);
+        svg.appendChild(maxLabel);
+
+        days.forEach((day, i) => {
+            let y = padding.top + plotHeight;
+            groups.forEach((group, g) => {
+                const value = group.perDay[day] || 0;
+                if (value === 0) return;
+                const barHeight = (value / max) * plotHeight;
+                y -= barHeight;
+                const rect = createSvg('rect', {
+                    x: padding.left + i * barWidth + 1,
+                    y,
+                    width: Math.max(1, barWidth - 2),
+                    height: barHeight,
+                    fill: COLORS[g % COLORS.length]
+                });
+                const title = createSvg('title', {});
+                title.textContent = `${day} - ${group.name}: ${value}`;
+                rect.appendChild(title);
+                svg.appendChild(rect);
+            });
+
+            // Label roughly every 7th day so labels don't overlap
+            const labelEvery = Math.ceil(days.length / 7);
+            if (i % labelEvery === 0) {
+                const label = createSvg('text', {
+                    x: padding.left + i * barWidth + barWidth / 2,
+                    y: padding.top + plotHeight + 16,
+                    'text-anchor': 'middle',
+                    class: 'label'
+                });
+                label.textContent = day.substring(5);
+                svg.appendChild(label);
+            }
+        });
+
+        chartEl.appendChild(svg);
+    }
+
+    function renderTotals(groups) {
+        totalsEl.replaceChildren();
+
+        const header = document.createElement('tr');
+        for (const text of ['', groupBySelect.options[groupBySelect.selectedIndex].text, 'Requests']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        }
+        totalsEl.appendChild(header);
+
+        groups.forEach((group, g) => {
+            const row = document.createElement('tr');
+            const swatchCell = document.createElement('td');
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = COLORS[g % COLORS.length];
+            swatchCell.appendChild(swatch);
+            const nameCell = document.createElement('td');
+            nameCell.textContent = group.name;
+            const totalCell = document.createElement('td');
+            totalCell.textContent = String(group.total);
+            totalCell.className = 'number';
+            row.append(swatchCell, nameCell, totalCell);
+            totalsEl.appendChild(row);
+        });
+    }
+
+    function render() {
+        const { days, groups } = buildSeries(groupBySelect.value);
+        const total = groups.reduce((sum, g) => sum + g.total, 0);
+        statusEl.textContent = metrics.length === 0
+            ? 'No metrics in this date range.'
+            : `${total} requests from ${fromInput.value} to ${toInput.value}`;
+        renderChart(days, groups);
+        renderTotals(groups);
+    }
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'data') {
+            metrics = message.metrics || [];
+            render();
+        } else if (message.type === 'refresh') {
+            requestData();
+        } else if (message.type === 'error') {
+            statusEl.textContent = `Error: ${message.message}`;
+        }
+    });
+
+    document.getElementById('controls').addEventListener('submit', event => {
+        event.preventDefault();
+        requestData();
+    });
+    groupBySelect.addEventListener('change', () => {
+        vscode.setState({ from: fromInput.value, to: toInput.value, groupBy: groupBySelect.value });
+        render();
+    });
+
+    // Restore previous state or default to the last 14 days ("today" in the
+    // extension's configured time zone)
+    const state = vscode.getState();
+    const today = document.body.dataset.today
+        ? new Date(`${document.body.dataset.today}T00:00:00`)
+        : new Date();
+    const twoWeeksAgo = new Date(today);
+    twoWeeksAgo.setDate(today.getDate() - 13);
+    fromInput.value = (state && state.from) || toDateKey(twoWeeksAgo);
+    toInput.value = (state && state.to) || toDateKey(today);
+    groupBySelect.value = (state && state.groupBy) || 'source';
+
+    requestData();
+})();
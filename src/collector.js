@@ -1,9 +1,16 @@
 const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
-const { getVSCodeLogDirectories, findCopilotLogFiles, parseLogTimestamp } = require('./helpers');
-const { getPersistedLogsDirectory, saveMetricsToJSON } = require('./saver');
+const { getVSCodeLogDirectories, getRunningSessionDirectory, getProductForLogFile, findCopilotLogFiles, isCopilotLogFileName, parseLogTimestamp, getSourceFileId } = require('./helpers');
+const { getPersistedLogsDirectory, saveMetricsToJSON, appendEventsToNDJSON, copyNewLogLines, createDailyArchives } = require('./saver');
 const CopilotParser = require('./parser');
+const { loadParserRules } = require('./parser-rules');
+const { extractSessionIdFromPath } = require('./organised');
+const { reconcileFileIdentities, isRotatedLogFileName } = require('./log-reader');
+const { parseSegments, parseSegmentsInWorker } = require('./parse-worker');
+const { withFileLock } = require('./file-lock');
+const { getRetentionSettings, isExpired } = require('./retention');
+const { NewerSchemaError } = require('./schema');
 
 /**
  * Handles log collection, parsing, and saving
@@ -14,17 +21,83 @@ class LogCollector {
         this.configManager = configManager;
         this.outputChannel = outputChannel;
         this.collectionState = null;
+        this.parseQueue = Promise.resolve();
+        this.deferredTo = null;
+        this.reportedNewerFiles = new Set();
+    }
+
+    /**
+     * Show a parse failure to the user. Background runs stay quiet, except
+     * for a metrics file from a newer extension version: collection can't
+     * continue until the extension is updated, so that is shown once per file.
+     */
+    reportParseError(error, isAutoCollection) {
+        if (error instanceof NewerSchemaError) {
+            if (isAutoCollection && this.reportedNewerFiles.has(error.fileName)) {
+                return;
+            }
+            this.reportedNewerFiles.add(error.fileName);
+            vscode.window.showErrorMessage(`Copilot Logger can't add metrics to ${error.fileName}: it was written by a newer version of the extension. Update the extension to continue collecting.`);
+            return;
+        }
+        if (!isAutoCollection) {
+            vscode.window.showErrorMessage(`Failed to parse logs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a task after any parse already in progress, so the timer and the
+     * log watcher never read and write parsing state at the same time, and
+     * only while holding the collection lock, so other VS Code windows don't
+     * either. When another window is collecting the task is skipped (its
+     * files are picked up by a later run) and null is returned.
+     */
+    runExclusive(task) {
+        const locked = () => this.runWithCollectionLock(task);
+        const run = this.parseQueue.then(locked, locked);
+        this.parseQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Lock files guarding the state files (global storage, shared by the
+     * windows of one install) and the metrics directory (which several
+     * installs, e.g. Stable and Insiders, may share)
+     */
+    getCollectionLockFiles(userConfig) {
+        return [
+            this.stateManager.getStateLockFile(),
+            path.join(getPersistedLogsDirectory(userConfig), '.collection.lock')
+        ];
+    }
+
+    async runWithCollectionLock(task) {
+        const lockFiles = this.getCollectionLockFiles(this.configManager.getConfig());
+        const outcome = await withFileLock(lockFiles, async () => {
+            // Another window may have advanced the state since it was loaded
+            this.initializeState();
+            return task();
+        });
+
+        if (!outcome.acquired) {
+            const holder = outcome.holder || {};
+            this.deferredTo = holder;
+            const since = holder.acquiredAt ? ` since ${new Date(holder.acquiredAt).toLocaleTimeString()}` : '';
+            this.outputChannel.appendLine(`⏸️ Another VS Code window (pid ${holder.pid || 'unknown'}) is collecting${since}; deferring this run`);
+            return null;
+        }
+        this.deferredTo = null;
+        return outcome.result;
     }
 
     /**
      * Initialize collection state
      */
     initializeState() {
-        if (!this.collectionState) {
-            this.collectionState = this.stateManager.loadCollectionState();
-            this.collectionState.processedFiles = new Set(this.collectionState.processedFiles || []);
-            this.collectionState.fileSizes = this.collectionState.fileSizes || {};
-        }
+        // Reloaded on every run so state compacted by the health check isn't overwritten by a stale copy
+        this.collectionState = this.stateManager.loadCollectionState();
+        this.collectionState.processedFiles = new Set(this.collectionState.processedFiles || []);
+        this.collectionState.fileSizes = this.collectionState.fileSizes || {};
     }
 
     /**
@@ -43,18 +116,10 @@ class LogCollector {
             await vscode.window.withProgress(progressOptions, async (progress) => {
                 progress.report({ increment: 0 });
 
-                // Get possible log directories
-                const vscodeDirs = getVSCodeLogDirectories();
                 progress.report({ increment: 20, message: "Searching for log files..." });
 
                 // Find all log files
-                const logFiles = [];
-                for (const dir of vscodeDirs) {
-                    if (fs.existsSync(dir)) {
-                        const files = await findCopilotLogFiles(dir);
-                        logFiles.push(...files);
-                    }
-                }
+                const logFiles = await this.findSourceLogFiles();
 
                 // Filter for new files
                 const newLogFiles = forceAll ? logFiles : this.filterNewFiles(logFiles);
@@ -85,16 +150,19 @@ class LogCollector {
 
                 const userConfig = this.configManager.getConfig();
 
-                // Update collection state
-                this.updateCollectionState(newLogFiles);
-
                 progress.report({ increment: 70, message: "Parsing logs and generating metrics..." });
 
-                // Parse logs directly from source and save metrics only
-                await this.parseAndSaveMetricsDirectly(newLogFiles, isAutoCollection, userConfig);
+                // Optionally copy raw logs, update collection state, then parse logs directly from source and save metrics
+                await this.runExclusive(async () => {
+                    await this.archiveRawLogs(newLogFiles, userConfig);
+                    this.updateCollectionState(newLogFiles);
+                    return this.parseAndSaveMetricsDirectly(newLogFiles, isAutoCollection, userConfig, forceAll);
+                });
 
                 // Show completion message (only for manual collection)
-                if (!isAutoCollection) {
+                if (!isAutoCollection && this.deferredTo) {
+                    vscode.window.showInformationMessage('Another VS Code window is collecting Copilot logs right now. Try again in a moment.');
+                } else if (!isAutoCollection) {
                     await this.showCompletionMessage();
                 }
             });
@@ -107,6 +175,56 @@ class LogCollector {
         }
     }
 
+    /**
+     * Find Copilot log files: the running window's session first (known
+     * exactly from the extension context), then historical sessions from
+     * the directory scan
+     */
+    async findSourceLogFiles() {
+        const logFiles = [];
+        const runningSessionDir = getRunningSessionDirectory();
+        if (runningSessionDir) {
+            logFiles.push(...await findCopilotLogFiles(runningSessionDir));
+        }
+
+        for (const dir of getVSCodeLogDirectories()) {
+            if (dir === runningSessionDir) {
+                continue;
+            }
+            if (fs.existsSync(dir)) {
+                const files = await findCopilotLogFiles(dir);
+                logFiles.push(...files);
+            }
+        }
+        return logFiles;
+    }
+
+    /**
+     * Final collection when the window closes: no progress UI or prompts
+     */
+    async collectOnShutdown() {
+        this.initializeState();
+        const newLogFiles = this.filterNewFiles(await this.findSourceLogFiles());
+        return this.collectWatchedFiles(newLogFiles);
+    }
+
+    /**
+     * Collect specific files reported by the log watcher (no progress UI or prompts)
+     */
+    async collectWatchedFiles(files) {
+        this.initializeState();
+        const existingFiles = files.filter(file => fs.existsSync(file));
+        if (existingFiles.length === 0) {
+            return null;
+        }
+
+        return this.runExclusive(async () => {
+            await this.archiveRawLogs(existingFiles, this.configManager.getConfig());
+            this.updateCollectionState(existingFiles);
+            return this.parseAndSaveMetricsDirectly(existingFiles, true);
+        });
+    }
+
     /**
      * Filter for new files based on timestamps and sizes
      */
@@ -186,6 +304,94 @@ class LogCollector {
         }
     }
 
+    /**
+     * Raw log capture (opt-in rawLogArchive setting): copy the lines written
+     * since the last copy into the folders of their days and rebuild those
+     * days' .tar.gz archives. Copy offsets are kept per source id, the same
+     * identity the parse uses, so a rotated log continues where it stopped and
+     * a truncated or replaced one is copied again from the start. Days past
+     * the raw log retention period are not copied again, and their archives
+     * are not rebuilt once past the archive retention period.
+     */
+    async archiveRawLogs(files, userConfig) {
+        const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+        const logFiles = files.filter(file => isCopilotLogFileName(path.basename(file)));
+        if (!config.get('rawLogArchive', false) || logFiles.length === 0) {
+            return null;
+        }
+        try {
+            const parsingState = this.stateManager.loadParsingState();
+            this.reconcileFiles(logFiles, parsingState);
+            this.stateManager.saveParsingState(parsingState);
+
+            // Files that vanished since they were found have no identity
+            const trackedFiles = logFiles.filter(file => parsingState.fileIdentities[file]);
+            const offsets = this.getRawLogOffsets(trackedFiles, parsingState);
+            const retention = getRetentionSettings();
+            const linesByDate = {};
+            for (const file of trackedFiles) {
+                const sourceId = parsingState.fileIdentities[file].sourceId;
+                try {
+                    const { end, lines } = copyNewLogLines({
+                        file,
+                        offset: offsets[sourceId] || 0,
+                        includePartialLine: isRotatedLogFileName(path.basename(file)),
+                        sourceId,
+                        session: extractSessionIdFromPath(file),
+                        product: getProductForLogFile(file),
+                        isExpired: dateKey => isExpired(dateKey, retention.rawLogs)
+                    }, userConfig);
+                    offsets[sourceId] = end;
+                    for (const [dateKey, count] of Object.entries(lines)) {
+                        linesByDate[dateKey] = (linesByDate[dateKey] || 0) + count;
+                    }
+                } catch (error) {
+                    this.outputChannel.appendLine(`Could not copy ${path.basename(file)}: ${error.message}`);
+                }
+            }
+            this.collectionState.rawLogOffsets = offsets;
+
+            const archiveDates = Object.keys(linesByDate).filter(dateKey => !isExpired(dateKey, retention.archives));
+            const archives = await createDailyArchives(archiveDates, userConfig);
+            const totalLines = Object.values(linesByDate).reduce((sum, count) => sum + count, 0);
+            if (totalLines > 0) {
+                this.outputChannel.appendLine(`🗄️ Raw logs: ${totalLines} new lines copied, ${archives.length} daily archive(s) updated`);
+            }
+            return { lines: linesByDate, archives };
+        } catch (error) {
+            this.outputChannel.appendLine(`Error archiving raw logs: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Raw copy byte offsets by source id, keeping only sources still tracked
+     * by the parsing state. The first run after an upgrade continues from
+     * the file sizes older versions copied up to.
+     */
+    getRawLogOffsets(files, parsingState) {
+        const tracked = new Set([
+            ...Object.values(parsingState.fileIdentities || {}).map(identity => identity.sourceId),
+            ...(parsingState.rotatedFiles || []).map(identity => identity.sourceId)
+        ]);
+        const offsets = {};
+        for (const [sourceId, offset] of Object.entries(this.collectionState.rawLogOffsets || {})) {
+            if (tracked.has(sourceId)) {
+                offsets[sourceId] = offset;
+            }
+        }
+        if (!this.collectionState.rawLogOffsets) {
+            for (const file of files) {
+                const identity = parsingState.fileIdentities[file];
+                const copiedSize = this.collectionState.fileSizes[file] || 0;
+                if (identity.generation === 0 && copiedSize <= identity.size) {
+                    offsets[identity.sourceId] = copiedSize;
+                }
+            }
+        }
+        return offsets;
+    }
+
     /**
      * Update collection state with newly processed files
      */
@@ -221,114 +427,14 @@ class LogCollector {
     }
 
     /**
-     * Parse collected logs incrementally and save metrics
+     * Detect rotated, replaced and truncated files before offsets are used
      */
-    async parseAndSaveMetrics(isAutoCollection = false, userConfig = null) {
-        try {
-            if (!userConfig) {
-                userConfig = this.configManager.getConfig();
-            }
-            const logsDir = getPersistedLogsDirectory(userConfig);
-            const parser = new CopilotParser();
-
-            // Load parsing state
-            let parsingState = this.stateManager.loadParsingState();
-
-            // Get all collected log files
-            const { copilotFiles, chatFiles } = this.findCollectedLogs(logsDir);
-
-            // Filter for new or modified files
-            const newCopilotFiles = this.filterNewParsedFiles(copilotFiles, parsingState);
-            const newChatFiles = this.filterNewParsedFiles(chatFiles, parsingState);
-
-            if (newCopilotFiles.length === 0 && newChatFiles.length === 0) {
-                if (!isAutoCollection) {
-                    this.outputChannel.appendLine('No new log entries to parse.');
-                }
-                return null;
-            }
-
-            // Get user info for parsing
-            const userName = userConfig.userName || 'Unknown';
-            const companyName = userConfig.company || 'Unknown';
-            const teamName = userConfig.team || 'Unknown';
-
-            // Parse new content
-            const copilotRecords = newCopilotFiles.flatMap(f =>
-                this.parseFileIncremental(f, false, parser, parsingState, userName, companyName, teamName)
-            );
-            const chatRecords = newChatFiles.flatMap(f =>
-                this.parseFileIncremental(f, true, parser, parsingState, userName, companyName, teamName)
-            );
-
-            const allRecords = [...copilotRecords, ...chatRecords];
-
-            if (allRecords.length === 0) {
-                if (!isAutoCollection) {
-                    this.outputChannel.appendLine('No new log entries found to parse.');
-                }
-                this.stateManager.saveParsingState(parsingState);
-                return null;
-            }
-
-            const aggregated = CopilotParser.aggregate(allRecords);
-
-            // Save metrics to JSON
-            const savedFiles = await saveMetricsToJSON(aggregated, userConfig);
-
-            // Update parsing state
-            parsingState.lastParse = Date.now();
-            this.stateManager.saveParsingState(parsingState);
-
-            const result = {
-                totalRecords: allRecords.length,
-                aggregatedMetrics: Object.keys(aggregated).length,
-                savedFiles: savedFiles
-            };
-
-            if (isAutoCollection) {
-                this.outputChannel.appendLine(`Parsed ${result.totalRecords} new log entries, ${result.aggregatedMetrics} unique metrics`);
-                this.outputChannel.appendLine(`Updated: ${savedFiles.join(', ')}`);
-            }
-
-            return result;
-        } catch (error) {
-            this.outputChannel.appendLine(`Error parsing logs: ${error.message}`);
-            if (!isAutoCollection) {
-                vscode.window.showErrorMessage(`Failed to parse logs: ${error.message}`);
-            }
-            return null;
+    reconcileFiles(files, parsingState) {
+        for (const note of reconcileFileIdentities(files, parsingState)) {
+            this.outputChannel.appendLine(`🔄 ${note}`);
         }
     }
 
-    /**
-     * Find collected log files in persistent storage
-     */
-    findCollectedLogs(logsDir) {
-        const copilotFiles = [];
-        const chatFiles = [];
-
-        const walkDir = (dir) => {
-            if (!fs.existsSync(dir)) return;
-            const files = fs.readdirSync(dir);
-            for (const file of files) {
-                const fullPath = path.join(dir, file);
-                const stat = fs.statSync(fullPath);
-
-                if (stat.isDirectory() && file !== 'metrics') {
-                    walkDir(fullPath);
-                } else if (file.includes('GitHub Copilot Chat')) {
-                    chatFiles.push(fullPath);
-                } else if (file.includes('GitHub Copilot')) {
-                    copilotFiles.push(fullPath);
-                }
-            }
-        };
-
-        walkDir(logsDir);
-        return { copilotFiles, chatFiles };
-    }
-
     /**
      * Filter files that need parsing
      */
@@ -341,58 +447,130 @@ class LogCollector {
     }
 
     /**
-     * Parse file incrementally from last position
+     * Parse the new part of each file from its last processed byte offset,
+     * on a worker thread, and advance the stored offsets.
+     * Each record is tagged with the segment (file id + byte range) it came from,
+     * which lets saveMetricsToJSON ignore ranges that were already merged.
+     * An unfinished last line is left for the next run so it is counted once.
      */
-    parseFileIncremental(file, isChat, parser, parsingState, userName, companyName, teamName) {
-        const lastSize = parsingState.processedFiles[file] || 0;
-        const content = fs.readFileSync(file, 'utf8');
+    async parseFiles(files, parser, parsingState, userName, companyName, teamName) {
+        if (files.length === 0) {
+            return [];
+        }
 
-        // Only parse content after the last processed position
-        const newContent = content.substring(lastSize);
-        const lines = newContent.split('\n');
+        const identities = parsingState.fileIdentities || {};
+        const jobs = files.map(file => ({
+            file,
+            offset: parsingState.processedFiles[file] || 0,
+            includePartialLine: isRotatedLogFileName(path.basename(file)),
+            sourceId: identities[file] ? identities[file].sourceId : getSourceFileId(file),
+            session: extractSessionIdFromPath(file),
+            product: getProductForLogFile(file)
+        }));
+        const options = { rules: parser.rules, timeZone: parser.timeZone, redaction: parser.redaction, userName, company: companyName, team: teamName };
+
+        let results;
+        try {
+            results = await parseSegmentsInWorker(jobs, options);
+        } catch (error) {
+            this.outputChannel.appendLine(`Parse worker unavailable (${error.message}), parsing on the main thread`);
+            results = parseSegments(jobs, options);
+        }
 
         const records = [];
-        for (const line of lines) {
-            let result;
-            if (isChat) {
-                result = parser.parseChatLine(line, userName, companyName, teamName);
-            } else {
-                result = parser.parseCopilotLine(line, userName, companyName, teamName);
+        for (const result of results) {
+            if (result.error) {
+                this.outputChannel.appendLine(`Error reading ${path.basename(result.file)}: ${result.error}`);
+                continue;
             }
-            if (result) {
-                records.push(result);
+            // Update processed byte offset
+            parsingState.processedFiles[result.file] = result.end;
+            for (const record of result.records) {
+                records.push(record);
             }
         }
+        return records;
+    }
 
-        // Update processed size
-        parsingState.processedFiles[file] = content.length;
+    /**
+     * Extra aggregation dimensions enabled in settings ("hour", "session")
+     */
+    getBreakdownDimensions() {
+        const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+        const dimensions = config.get('breakdowns', ['hour', 'session']);
+        return Array.isArray(dimensions) ? dimensions : [];
+    }
 
-        return records;
+    /**
+     * Append parsed records to the event log when it is enabled, then apply its retention
+     */
+    saveEvents(records, userConfig) {
+        const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+        if (!config.get('eventLog', false)) {
+            return;
+        }
+        try {
+            // Expired days are removed by the retention cleanup and never written again
+            const retentionDays = getRetentionSettings().events;
+            const written = appendEventsToNDJSON(records.filter(record => !isExpired(record.date, retentionDays)), userConfig);
+            if (written > 0) {
+                this.outputChannel.appendLine(`📝 Event log: ${written} new events`);
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`Error writing event log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Leave out days past the metrics retention period, so re-parsing old
+     * source logs (force re-collect, recovery) doesn't bring them back
+     */
+    dropExpiredMetrics(aggregated) {
+        const retentionDays = getRetentionSettings().metrics;
+        const kept = {};
+        for (const [key, entry] of Object.entries(aggregated)) {
+            if (!isExpired(entry.date, retentionDays)) {
+                kept[key] = entry;
+            }
+        }
+        return kept;
     }
 
     /**
      * Parse logs directly from source files and save only metrics
+     * With forceAll, files are re-parsed from the start; the metrics merge
+     * skips segments it has already counted, so totals stay correct.
      */
-    async parseAndSaveMetricsDirectly(logFiles, isAutoCollection = false, userConfig = null) {
+    async parseAndSaveMetricsDirectly(logFiles, isAutoCollection = false, userConfig = null, forceAll = false) {
         try {
             if (!userConfig) {
                 userConfig = this.configManager.getConfig();
             }
 
-            const parser = new CopilotParser();
+            const parser = new CopilotParser(loadParserRules(userConfig, this.outputChannel));
             let parsingState = this.stateManager.loadParsingState();
 
+            if (forceAll) {
+                for (const file of logFiles) {
+                    delete parsingState.processedFiles[file];
+                }
+            }
+            this.reconcileFiles(logFiles, parsingState);
+
             // Get user info for parsing
             const userName = userConfig.userName || 'Unknown';
             const companyName = userConfig.company || 'Unknown';
             const teamName = userConfig.team || 'Unknown';
 
-            // Separate chat and copilot files
+            // Separate chat and copilot files (only files some parser rule applies to)
             const copilotFiles = [];
             const chatFiles = [];
 
             for (const file of logFiles) {
                 const fileName = path.basename(file);
+                if (parser.getRulesForFile(file).length === 0) {
+                    continue;
+                }
                 if (fileName.includes('Chat')) {
                     chatFiles.push(file);
                 } else {
@@ -415,15 +593,10 @@ class LogCollector {
             }
 
             // Parse new content
-            const copilotRecords = newCopilotFiles.flatMap(f =>
-                this.parseFileIncremental(f, false, parser, parsingState, userName, companyName, teamName)
-            );
-            const chatRecords = newChatFiles.flatMap(f =>
-                this.parseFileIncremental(f, true, parser, parsingState, userName, companyName, teamName)
+            const allRecords = await this.parseFiles(
+                [...newCopilotFiles, ...newChatFiles], parser, parsingState, userName, companyName, teamName
             );
 
-            const allRecords = [...copilotRecords, ...chatRecords];
-
             if (allRecords.length === 0) {
                 if (!isAutoCollection) {
                     this.outputChannel.appendLine('No new log entries found to parse.');
@@ -432,13 +605,18 @@ class LogCollector {
                 return null;
             }
 
-            const aggregated = CopilotParser.aggregate(allRecords);
+            const aggregated = this.dropExpiredMetrics(CopilotParser.aggregate(allRecords, this.getBreakdownDimensions()));
 
             // Save metrics to JSON
             const savedFiles = await saveMetricsToJSON(aggregated, userConfig);
 
-            // Update parsing state
-            parsingState.lastParse = Date.now();
+            // Optional per-request event log
+            this.saveEvents(allRecords, userConfig);
+
+            // Update parsing state; lastParse marks the last time metrics were written
+            if (savedFiles.length > 0) {
+                parsingState.lastParse = Date.now();
+            }
             this.stateManager.saveParsingState(parsingState);
 
             const result = {
@@ -459,9 +637,7 @@ class LogCollector {
             return result;
         } catch (error) {
             this.outputChannel.appendLine(`Error parsing logs: ${error.message}`);
-            if (!isAutoCollection) {
-                vscode.window.showErrorMessage(`Failed to parse logs: ${error.message}`);
-            }
+            this.reportParseError(error, isAutoCollection);
             return null;
         }
     }
@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
 const { getPersistedLogsDirectory } = require('./helpers');
+const { writeFileAtomic } = require('./file-lock');
+const { stampDocument } = require('./schema');
 
 /**
  * Manages user configuration (name and team)
@@ -58,7 +60,7 @@ class ConfigManager {
             const logsDir = getPersistedLogsDirectory(userConfig);
             const destFile = path.join(logsDir, 'user_config.json');
 
-            fs.writeFileSync(destFile, JSON.stringify(userConfig, null, 2), 'utf8');
+            writeFileAtomic(destFile, JSON.stringify(userConfig, null, 2));
         } catch (error) {
             this.outputChannel.appendLine(`Error copying config to logs directory: ${error.message}`);
         }
@@ -70,13 +72,13 @@ class ConfigManager {
     saveUserConfig(userName, company, team) {
         try {
             const configFile = this.getConfigFilePath();
-            this.config = {
+            this.config = stampDocument('userConfig', {
                 userName,
                 company,
                 team,
                 configuredAt: new Date().toISOString()
-            };
-            fs.writeFileSync(configFile, JSON.stringify(this.config, null, 2), 'utf8');
+            });
+            writeFileAtomic(configFile, JSON.stringify(this.config, null, 2));
 
             // Also copy to logs directory for easy access
             this.copyConfigToLogsDirectory(this.config);
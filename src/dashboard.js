@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const vscode = require('vscode');
+const { loadMetricsByDate } = require('./saver');
+const { todayKey } = require('./dates');
+
+/**
+ * Local metrics dashboard, shown as a sidebar view and as an editor panel.
+ * Everything (script, styles, charts) ships with the extension - no CDN.
+ */
+class DashboardProvider {
+    constructor(extensionUri, configManager, outputChannel) {
+        this.extensionUri = extensionUri;
+        this.configManager = configManager;
+        this.outputChannel = outputChannel;
+        this.webviews = new Set();
+        this.panel = null;
+    }
+
+    /**
+     * Called by VS Code when the sidebar view becomes visible
+     * @param {vscode.WebviewView} webviewView
+     */
+    resolveWebviewView(webviewView) {
+        this.setupWebview(webviewView.webview);
+        webviewView.onDidDispose(() => this.webviews.delete(webviewView.webview));
+    }
+
+    /**
+     * Open (or reveal) the dashboard in an editor panel
+     */
+    openPanel() {
+        if (this.panel) {
+            this.panel.reveal();
+            return;
+        }
+
+        this.panel = vscode.window.createWebviewPanel(
+            'avocado-copilot-logger.dashboardPanel',
+            'Copilot Logger Dashboard',
+            vscode.ViewColumn.One,
+            { enableScripts: true, localResourceRoots: [this.getMediaUri()] }
+        );
+        const webview = this.panel.webview;
+        this.setupWebview(webview);
+        this.panel.onDidDispose(() => {
+            this.webviews.delete(webview);
+            this.panel = null;
+        });
+    }
+
+    /**
+     * Ask every open dashboard to reload its data (e.g. after a collection)
+     */
+    refresh() {
+        for (const webview of this.webviews) {
+            webview.postMessage({ type: 'refresh' });
+        }
+    }
+
+    getMediaUri() {
+        return vscode.Uri.joinPath(this.extensionUri, 'media');
+    }
+
+    /**
+     * Configure a webview and wire up its messages
+     */
+    setupWebview(webview) {
+        webview.options = { enableScripts: true, localResourceRoots: [this.getMediaUri()] };
+        webview.html = this.getHtml(webview);
+        this.webviews.add(webview);
+
+        webview.onDidReceiveMessage(async (message) => {
+            try {
+                if (message.type === 'load') {
+                    webview.postMessage({
+                        type: 'data',
+                        from: message.from,
+                        to: message.to,
+                        metrics: this.loadMetrics(message.from, message.to)
+                    });
+                }
+            } catch (error) {
+                this.outputChannel.appendLine(`Dashboard failed to load metrics: ${error.message}`);
+                webview.postMessage({ type: 'error', message: error.message });
+            }
+        });
+    }
+
+    /**
+     * Load metrics for the range, keeping only what the charts need
+     */
+    loadMetrics(fromDate, toDate) {
+        const userConfig = this.configManager.getConfig();
+        const metricsByDate = loadMetricsByDate(userConfig, fromDate || null, toDate || null);
+
+        const rows = [];
+        for (const [date, entries] of Object.entries(metricsByDate)) {
+            for (const entry of entries) {
+                rows.push({
+                    date,
+                    source: entry.source,
+                    servedBy: entry.servedBy,
+                    action: entry.action,
+                    ide: entry.ide,
+                    numRequests: entry.numRequests || 0
+                });
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Build the webview HTML with a strict CSP (local script and styles only)
+     */
+    getHtml(webview) {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(this.getMediaUri(), 'dashboard.js'));
+        const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(this.getMediaUri(), 'dashboard.css'));
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${webview.cspSource}; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link href="${styleUri}" rel="stylesheet">
+    <title>Copilot Logger Dashboard</title>
+</head>
+<body data-today="${todayKey()}">
+    <form id="controls">
+        <label>From <input type="date" id="from"></label>
+        <label>To <input type="date" id="to"></label>
+        <label>Group by
+            <select id="groupBy">
+                <option value="source">Source</option>
+                <option value="servedBy">Model</option>
+                <option value="action">Action</option>
+                <option value="ide">Product</option>
+            </select>
+        </label>
+        <button type="submit">Apply</button>
+    </form>
+    <div id="status"></div>
+    <div id="chart"></div>
+    <table id="totals"></table>
+    <script nonce="${nonce}" src="${scriptUri}"></script>
+</body>
+</html>`;
+    }
+}
+
+module.exports = DashboardProvider;
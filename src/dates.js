@@ -0,0 +1,203 @@
+/**
+ * Day bucketing for everything that groups by date (parser, organiser,
+ * metrics, events, status bar, dashboard). Timestamps in VS Code logs are
+ * written in the machine's local time; they are turned into instants and
+ * then bucketed in the configured zone: "local" (default), "UTC" or an IANA
+ * zone such as "Europe/Berlin".
+ */
+
+const LOCAL_TIME_ZONE = 'local';
+
+const formatters = new Map();
+
+/**
+ * True for "local", "UTC" and any IANA zone name this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+    if (timeZone === LOCAL_TIME_ZONE) {
+        return true;
+    }
+    if (typeof timeZone !== 'string' || !timeZone.trim()) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The zone from the timeZone setting; invalid values fall back to local time
+ */
+function getConfiguredTimeZone() {
+    const config = require('vscode').workspace.getConfiguration('avocado-copilot-logger');
+    const timeZone = String(config.get('timeZone', LOCAL_TIME_ZONE) || LOCAL_TIME_ZONE).trim();
+    return isValidTimeZone(timeZone) ? timeZone : LOCAL_TIME_ZONE;
+}
+
+/**
+ * The concrete zone name recorded in metrics files ("local" becomes e.g. "Europe/Berlin")
+ */
+function resolveTimeZoneName(timeZone = getConfiguredTimeZone()) {
+    if (timeZone === LOCAL_TIME_ZONE) {
+        // An empty TZ runs in UTC but resolves to "Etc/Unknown"
+        const localName = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        return isValidTimeZone(localName) ? localName : 'UTC';
+    }
+    return timeZone;
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Calendar fields of an instant in the given zone
+ */
+function getZonedParts(date, timeZone = getConfiguredTimeZone()) {
+    if (timeZone === LOCAL_TIME_ZONE) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds()
+        };
+    }
+
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * YYYY-MM-DD of an instant in the given zone
+ */
+function formatDateKey(date, timeZone = getConfiguredTimeZone()) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Hour of day ("00"-"23") of an instant in the given zone
+ */
+function formatHourKey(date, timeZone = getConfiguredTimeZone()) {
+    return String(getZonedParts(date, timeZone).hour).padStart(2, '0');
+}
+
+/**
+ * Today's YYYY-MM-DD in the given zone
+ */
+function todayKey(timeZone = getConfiguredTimeZone()) {
+    return formatDateKey(new Date(), timeZone);
+}
+
+/**
+ * True for a real calendar date written as YYYY-MM-DD
+ */
+function isDateKey(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    if (!match) {
+        return false;
+    }
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCFullYear() === +match[1] && date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD keys (no zone or DST involved)
+ */
+function addDaysToKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Offset of the zone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+    if (timeZone === LOCAL_TIME_ZONE) {
+        return -date.getTimezoneOffset() * 60000;
+    }
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * An instant inside the given day (noon) in the given zone, so that
+ * formatDateKey(dateFromKey(key, zone), zone) === key
+ */
+function dateFromKey(dateKey, timeZone = getConfiguredTimeZone()) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    if (timeZone === LOCAL_TIME_ZONE) {
+        return new Date(year, month - 1, day, 12);
+    }
+    const noonUtc = Date.UTC(year, month - 1, day, 12);
+    return new Date(noonUtc - getTimeZoneOffsetMs(new Date(noonUtc), timeZone));
+}
+
+/**
+ * Parse a log line timestamp ("YYYY-MM-DD HH:MM:SS[.mmm]", optionally with
+ * "T", "Z" or an offset). Without a zone designator it is local time, as
+ * VS Code writes it. Returns null when it cannot be parsed.
+ */
+function parseLogTime(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?/.exec(String(text || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour, minute, second = '0', fraction = '0', zone] = match;
+    const ms = parseInt(fraction.padEnd(3, '0'), 10);
+    let date;
+    if (zone) {
+        const offset = zone === 'Z' ? 'Z' : `${zone.substring(0, 3)}:${zone.replace(':', '').substring(3)}`;
+        date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second.padStart(2, '0')}.${String(ms).padStart(3, '0')}${offset}`);
+    } else {
+        date = new Date(+year, +month - 1, +day, +hour, +minute, +second, ms);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    LOCAL_TIME_ZONE,
+    isValidTimeZone,
+    getConfiguredTimeZone,
+    resolveTimeZoneName,
+    getZonedParts,
+    formatDateKey,
+    formatHourKey,
+    todayKey,
+    isDateKey,
+    addDaysToKey,
+    dateFromKey,
+    parseLogTime
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const { getPersistedLogsDirectory } = require('./helpers');
+const { loadMetricsByDate } = require('./saver');
+const { isDateKey } = require('./dates');
+const { writeFileAtomic } = require('./file-lock');
+const CopilotParser = require('./parser');
+
+/**
+ * Export columns, in order. New columns are only ever appended so existing
+ * spreadsheet and warehouse imports keep working.
+ */
+const EXPORT_COLUMNS = [
+    'date',
+    'source',
+    'servedBy',
+    'action',
+    'numRequests',
+    ...CopilotParser.OUTCOMES.map(outcome => `outcome_${outcome}`),
+    'latency_count',
+    'latency_total_ms',
+    'latency_mean_ms',
+    'latency_min_ms',
+    'latency_max_ms',
+    'latency_p50_ms',
+    'latency_p90_ms',
+    'latency_p99_ms',
+    'name',
+    'company',
+    'team',
+    'ide',
+    'session_count'
+];
+
+const FORMATS = {
+    CSV: { extension: 'csv', label: 'CSV', description: 'Comma-separated values with a header row' },
+    NDJSON: { extension: 'ndjson', label: 'NDJSON', description: 'One JSON object per line' },
+    JSON: { extension: 'json', label: 'JSON', description: 'A single merged JSON array' }
+};
+
+/**
+ * Flatten one metrics entry into an export row with every column present
+ */
+function toExportRow(date, entry) {
+    const outcomes = entry.outcomes || {};
+    const latency = entry.latency || {};
+    const values = {
+        date: entry.date || date,
+        source: entry.source,
+        servedBy: entry.servedBy,
+        action: entry.action,
+        numRequests: entry.numRequests || 0,
+        latency_count: latency.count,
+        latency_total_ms: latency.totalMs,
+        latency_mean_ms: latency.meanMs,
+        latency_min_ms: latency.minMs,
+        latency_max_ms: latency.maxMs,
+        latency_p50_ms: latency.p50Ms,
+        latency_p90_ms: latency.p90Ms,
+        latency_p99_ms: latency.p99Ms,
+        name: entry.name,
+        company: entry.company,
+        team: entry.team,
+        ide: entry.ide,
+        session_count: entry.sessions ? Object.keys(entry.sessions).length : null
+    };
+    for (const outcome of CopilotParser.OUTCOMES) {
+        values[`outcome_${outcome}`] = outcomes[outcome] || 0;
+    }
+
+    const row = {};
+    for (const column of EXPORT_COLUMNS) {
+        row[column] = values[column] === undefined ? null : values[column];
+    }
+    return row;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows in the chosen format
+ */
+function serializeRows(rows, format) {
+    if (format === 'CSV') {
+        const lines = [EXPORT_COLUMNS.join(',')];
+        for (const row of rows) {
+            lines.push(EXPORT_COLUMNS.map(column => toCsvField(row[column])).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+    if (format === 'NDJSON') {
+        return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+    return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Build export rows for an inclusive YYYY-MM-DD range
+ */
+function buildExportRows(userConfig, fromDate, toDate) {
+    const rows = [];
+    const metricsByDate = loadMetricsByDate(userConfig, fromDate, toDate);
+    for (const [date, entries] of Object.entries(metricsByDate)) {
+        for (const entry of entries) {
+            rows.push(toExportRow(date, entry));
+        }
+    }
+    return rows;
+}
+
+/**
+ * Write an export file and return the number of rows written
+ */
+function exportMetrics(userConfig, fromDate, toDate, format, outputPath) {
+    const rows = buildExportRows(userConfig, fromDate, toDate);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeFileAtomic(outputPath, serializeRows(rows, format));
+    return rows.length;
+}
+
+/**
+ * Validate a YYYY-MM-DD input box value
+ */
+function validateDateInput(value) {
+    if (!isDateKey(value)) {
+        return 'Enter a date as YYYY-MM-DD';
+    }
+    return null;
+}
+
+/**
+ * Interactive export: ask for range, format and destination
+ */
+async function promptAndExportMetrics(configManager, outputChannel) {
+    const userConfig = configManager.getConfig();
+    const availableDates = Object.keys(loadMetricsByDate(userConfig));
+    if (availableDates.length === 0) {
+        vscode.window.showWarningMessage('No metrics to export yet. Run "Copilot Logger: Collect Logs" first.');
+        return null;
+    }
+
+    const fromDate = await vscode.window.showInputBox({
+        prompt: 'Export metrics from date (inclusive)',
+        value: availableDates[0],
+        validateInput: validateDateInput
+    });
+    if (!fromDate) return null;
+
+    const toDate = await vscode.window.showInputBox({
+        prompt: 'Export metrics to date (inclusive)',
+        value: availableDates[availableDates.length - 1],
+        validateInput: (value) => validateDateInput(value) || (value.trim() < fromDate.trim() ? 'End date must not be before the start date' : null)
+    });
+    if (!toDate) return null;
+
+    const formatPick = await vscode.window.showQuickPick(
+        Object.entries(FORMATS).map(([key, format]) => ({ label: format.label, description: format.description, key })),
+        { placeHolder: 'Export format' }
+    );
+    if (!formatPick) return null;
+
+    const format = FORMATS[formatPick.key];
+    const defaultPath = path.join(
+        getPersistedLogsDirectory(userConfig),
+        'exports',
+        `metrics_${fromDate.trim()}_${toDate.trim()}.${format.extension}`
+    );
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(defaultPath),
+        filters: { [format.label]: [format.extension] }
+    });
+    if (!target) return null;
+
+    const rowCount = exportMetrics(userConfig, fromDate.trim(), toDate.trim(), formatPick.key, target.fsPath);
+    outputChannel.appendLine(`📤 Exported ${rowCount} rows (${fromDate.trim()} to ${toDate.trim()}) to ${target.fsPath}`);
+
+    const openFolder = 'Open Folder';
+    const result = await vscode.window.showInformationMessage(`Exported ${rowCount} rows to ${target.fsPath}`, openFolder);
+    if (result === openFolder) {
+        vscode.commands.executeCommand('revealFileInOS', target);
+    }
+    return target.fsPath;
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    buildExportRows,
+    serializeRows,
+    exportMetrics,
+    promptAndExportMetrics
+};
@@ -1,9 +1,19 @@
 const vscode = require('vscode');
-const { getPersistedLogsDirectory } = require('./helpers');
+const { getPersistedLogsDirectory, parseTimeOfDay, isWithinTimeWindow, msUntilTimeOfDay, setRunningUserDataDirectory, setRunningSessionFromLogPath } = require('./helpers');
 const ConfigManager = require('./config-manager');
 const StateManager = require('./state-manager');
 const HealthChecker = require('./health-check');
 const LogCollector = require('./collector');
+const DashboardProvider = require('./dashboard');
+const StatusBarController = require('./status-bar');
+const LogWatcher = require('./log-watcher');
+const LeaderElection = require('./leader-election');
+const { migratePersistedFiles } = require('./migration');
+const { withFileLock } = require('./file-lock');
+const { DATA_CLASSES, runRetentionCleanup } = require('./retention');
+const { promptAndExportMetrics } = require('./exporter');
+const { promptAndRestoreFromArchives, restoreMissingMetricsFromArchives } = require('./restore');
+const { isValidTimeZone } = require('./dates');
 
 // Global instances
 let outputChannel;
@@ -11,8 +21,26 @@ let configManager;
 let stateManager;
 let healthChecker;
 let logCollector;
+let dashboardProvider;
+let statusBar;
+let logWatcher;
+let leaderElection;
 let healthCheckTimer = null;
 let autoCollectionTimer = null;
+let retentionTimer = null;
+
+// How often the collector window applies the retention settings
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Settings that are applied live by rebuilding the timers
+const SCHEDULE_SETTINGS = [
+    'healthCheckIntervalMinutes',
+    'collectionIntervalMinutes',
+    'dailyCollectionTime',
+    'watchMode',
+    'quietHoursStart',
+    'quietHoursEnd'
+];
 
 /**
  * Activate extension
@@ -25,25 +53,69 @@ async function activate(context) {
     outputChannel = vscode.window.createOutputChannel("Copilot Logger");
     outputChannel.appendLine("Extension activated!");
 
+    // Lets log discovery find this window's logs with --user-data-dir or in portable mode
+    setRunningUserDataDirectory(context.globalStorageUri && context.globalStorageUri.fsPath);
+    // The running window's own log session; in a remote window the logs belong to the server
+    const runningSessionDir = setRunningSessionFromLogPath(
+        context.logUri && context.logUri.fsPath,
+        vscode.env.remoteName ? null : vscode.env.appName
+    );
+    if (runningSessionDir) {
+        outputChannel.appendLine(`Current log session: ${runningSessionDir}`);
+    }
+
     // Initialize managers
     configManager = new ConfigManager(context, outputChannel);
     stateManager = new StateManager(context, outputChannel);
     healthChecker = new HealthChecker(stateManager, outputChannel, vscode, configManager);
     logCollector = new LogCollector(stateManager, configManager, outputChannel);
+    dashboardProvider = new DashboardProvider(context.extensionUri, configManager, outputChannel);
+    statusBar = new StatusBarController(stateManager, configManager, healthChecker, outputChannel);
+    logWatcher = new LogWatcher(logCollector, outputChannel, {
+        onCollected: onCollectionFinished,
+        canCollect: () => !isQuietTime()
+    });
+    context.subscriptions.push(logWatcher);
+    leaderElection = new LeaderElection(stateManager, outputChannel, {
+        onRoleChange: onCollectorRoleChanged,
+        onLeaderStatus: status => statusBar.setHealthStatus(status),
+        onLeaderCollected: refreshMetricsViews
+    });
 
     // Ensure user configuration (one-time setup)
     await configManager.ensureUserConfiguration();
 
-    // Run initial collection on startup
-    logCollector.collectCopilotLogs(true).catch(error => {
-        outputChannel.appendLine(`Initial collection failed: ${error.message}`);
-    });
+    // Upgrade files written by older versions before anything reads them
+    await migrateFilesOnActivation();
+
+    // Elect the collecting window; the winner runs the initial collection
+    leaderElection.start();
 
     // Register commands
     registerCommands(context);
 
-    // Set up timers
+    // Set up timers, and rebuild them whenever the schedule settings change
     setupTimers();
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (SCHEDULE_SETTINGS.some(key => event.affectsConfiguration(`avocado-copilot-logger.${key}`))) {
+            clearTimers();
+            setupTimers();
+            outputChannel.appendLine('Schedule settings changed - timers updated');
+        }
+        if (Object.values(DATA_CLASSES).some(({ setting }) => event.affectsConfiguration(`avocado-copilot-logger.${setting}`))) {
+            runRetentionJob();
+        }
+        if (event.affectsConfiguration('avocado-copilot-logger.timeZone')) {
+            const timeZone = vscode.workspace.getConfiguration('avocado-copilot-logger').get('timeZone');
+            if (timeZone && !isValidTimeZone(timeZone.trim())) {
+                vscode.window.showWarningMessage(`Copilot Logger: unknown time zone "${timeZone}", using local time.`);
+            }
+        }
+    }));
+
+    // Status bar indicator
+    context.subscriptions.push(...statusBar.register());
+    statusBar.start();
 
     // Final messages
     // outputChannel.appendLine("Extension ready - health check every 5 minutes, auto-collection every 60 minutes");
@@ -64,6 +136,7 @@ function registerCommands(context) {
                 outputChannel.appendLine("Collecting GitHub Copilot logs...");
 
                 await logCollector.collectCopilotLogs(false);
+                onCollectionFinished();
 
                 outputChannel.show(true);
             } catch (error) {
@@ -99,53 +172,284 @@ function registerCommands(context) {
         }
     );
 
+    // Export command
+    const exportCommand = vscode.commands.registerCommand(
+        'avocado-copilot-logger.ExportMetrics',
+        async function () {
+            try {
+                await promptAndExportMetrics(configManager, outputChannel);
+            } catch (error) {
+                outputChannel.appendLine(`Export failed: ${error.message}`);
+                vscode.window.showErrorMessage(`Failed to export metrics: ${error.message}`);
+                outputChannel.show(true);
+            }
+        }
+    );
+
+    // Restore command: rebuild missing days from the daily raw log archives
+    const restoreCommand = vscode.commands.registerCommand(
+        'avocado-copilot-logger.RestoreFromArchive',
+        async function () {
+            try {
+                const result = await promptAndRestoreFromArchives(configManager, logCollector, outputChannel);
+                if (result && result.restoredDates.length > 0) {
+                    onCollectionFinished();
+                }
+            } catch (error) {
+                outputChannel.appendLine(`Restore failed: ${error.message}`);
+                vscode.window.showErrorMessage(`Failed to restore metrics: ${error.message}`);
+                outputChannel.show(true);
+            }
+        }
+    );
+
+    // Dashboard command and sidebar view
+    const dashboardCommand = vscode.commands.registerCommand(
+        'avocado-copilot-logger.OpenDashboard',
+        function () {
+            dashboardProvider.openPanel();
+        }
+    );
+    const dashboardView = vscode.window.registerWebviewViewProvider(
+        'avocado-copilot-logger.dashboard',
+        dashboardProvider
+    );
+
     context.subscriptions.push(collectCommand);
     context.subscriptions.push(configureCommand);
+    context.subscriptions.push(exportCommand);
+    context.subscriptions.push(restoreCommand);
+    context.subscriptions.push(dashboardCommand);
+    context.subscriptions.push(dashboardView);
+}
+
+/**
+ * Refresh everything that displays metrics after a collection run, and let
+ * the other windows know
+ */
+function onCollectionFinished() {
+    refreshMetricsViews();
+    leaderElection.shareCollection();
+}
+
+/**
+ * Refresh the status bar and dashboard from the metrics files
+ */
+function refreshMetricsViews() {
+    dashboardProvider.refresh();
+    statusBar.update();
+}
+
+/**
+ * Migrate persisted files to the current schema, holding the collection lock
+ * so no other window writes them meanwhile
+ */
+async function migrateFilesOnActivation() {
+    try {
+        const userConfig = configManager.getConfig();
+        const logsDir = getPersistedLogsDirectory(userConfig);
+        const outcome = await withFileLock(logCollector.getCollectionLockFiles(userConfig), async () =>
+            migratePersistedFiles(stateManager.getStateStoragePath(), logsDir, outputChannel)
+        );
+        if (!outcome.acquired) {
+            outputChannel.appendLine('Another window is collecting; file format migration runs at the next activation');
+        }
+    } catch (error) {
+        outputChannel.appendLine(`File format migration failed: ${error.message}`);
+    }
+}
+
+/**
+ * This window became (or stopped being) the one that collects: only the
+ * leader collects, watches logs and runs health checks
+ */
+function onCollectorRoleChanged(isLeader) {
+    statusBar.setCollectorRole(isLeader);
+    if (!isLeader) {
+        logWatcher.stop();
+        return;
+    }
+
+    if (getScheduleSettings().watchMode) {
+        logWatcher.ensureWatching();
+    }
+    if (!isQuietTime()) {
+        logCollector.collectCopilotLogs(true).then(onCollectionFinished).catch(error => {
+            outputChannel.appendLine(`Initial collection failed: ${error.message}`);
+        }).then(runRetentionJob);
+    } else {
+        runRetentionJob();
+    }
+}
+
+/**
+ * Remove data past its retention period (collector window only; runs after
+ * any collection in progress and under the collection lock)
+ */
+async function runRetentionJob() {
+    if (!leaderElection.isLeader()) {
+        return;
+    }
+    try {
+        const removed = await logCollector.runExclusive(() =>
+            runRetentionCleanup(stateManager, configManager.getConfig(), outputChannel)
+        );
+        if (removed && Object.values(removed).some(names => names.length > 0)) {
+            onCollectionFinished();
+        }
+    } catch (error) {
+        outputChannel.appendLine(`Retention cleanup failed: ${error.message}`);
+    }
+}
+
+/**
+ * Read the schedule settings
+ */
+function getScheduleSettings() {
+    const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+    return {
+        healthCheckIntervalMinutes: Math.max(1, config.get('healthCheckIntervalMinutes', 5)),
+        collectionIntervalMinutes: Math.max(1, config.get('collectionIntervalMinutes', 60)),
+        dailyCollectionTime: parseTimeOfDay(config.get('dailyCollectionTime', '')),
+        watchMode: config.get('watchMode', false),
+        collectOnDeactivate: config.get('collectOnDeactivate', false),
+        quietHoursStart: parseTimeOfDay(config.get('quietHoursStart', '')),
+        quietHoursEnd: parseTimeOfDay(config.get('quietHoursEnd', ''))
+    };
+}
+
+/**
+ * Automatic collection and health checks are skipped during quiet hours
+ */
+function isQuietTime() {
+    const settings = getScheduleSettings();
+    return isWithinTimeWindow(new Date(), settings.quietHoursStart, settings.quietHoursEnd);
+}
+
+/**
+ * Run one automatic collection (timer, daily schedule or fallback sweep)
+ */
+async function runAutoCollection(settings) {
+    if (isQuietTime() || !leaderElection.isLeader()) {
+        return;
+    }
+    try {
+        if (settings.watchMode) {
+            logWatcher.ensureWatching();
+        }
+        await logCollector.collectCopilotLogs(true);
+        onCollectionFinished();
+    } catch (error) {
+        outputChannel.appendLine(`Auto-collection failed: ${error.message}`);
+        outputChannel.appendLine(`Extension is not working properly during auto-collection`);
+    }
+}
+
+/**
+ * Schedule the daily collection at the configured local time, then the next
+ * one. Timers cleared or replaced during the collection (settings change,
+ * deactivation) are not re-armed.
+ */
+function scheduleDailyCollection(settings) {
+    const timer = setTimeout(async () => {
+        await runAutoCollection(settings);
+        if (autoCollectionTimer === timer) {
+            scheduleDailyCollection(settings);
+        }
+    }, msUntilTimeOfDay(settings.dailyCollectionTime));
+    autoCollectionTimer = timer;
 }
 
 /**
- * Set up automatic timers
+ * Set up automatic timers from the current settings
  */
 function setupTimers() {
-    // Health check every 5 minutes (first run immediately after 5 minutes)
+    const settings = getScheduleSettings();
+
+    // Health check (every 5 minutes by default, first run after one interval)
     healthCheckTimer = setInterval(async () => {
+        if (isQuietTime() || !leaderElection.isLeader()) {
+            return;
+        }
         try {
             const healthStatus = await healthChecker.performHealthCheck();
+            statusBar.setHealthStatus(healthStatus);
+            leaderElection.shareHealthStatus(healthStatus);
 
             // If metrics were deleted, trigger re-collection
             if (healthStatus && healthStatus.needsRecollection) {
                 outputChannel.appendLine(`🔄 Starting recovery: re-collecting logs to regenerate metrics...`);
                 await logCollector.collectCopilotLogs(false, true);
+                // Then days whose source logs are gone, from the daily archives
+                // (days re-collected above already have metrics and are skipped)
+                await restoreMissingMetricsFromArchives(logCollector, configManager.getConfig(), outputChannel);
+                onCollectionFinished();
             }
         } catch (error) {
             outputChannel.appendLine(`Health check failed: ${error.message}`);
         }
-    }, 5 * 60 * 1000); // 5 minutes
+    }, settings.healthCheckIntervalMinutes * 60 * 1000);
 
-    // Auto-collection every 60 minutes
-    autoCollectionTimer = setInterval(async () => {
-        try {
-            await logCollector.collectCopilotLogs(true);
-        } catch (error) {
-            outputChannel.appendLine(`Auto-collection failed: ${error.message}`);
-            outputChannel.appendLine(`Extension is not working properly during auto-collection`);
-        }
-    }, 60 * 60 * 1000); // 60 minutes
+    // Watch mode: tail the running session's logs, the timer below becomes a fallback sweep
+    if (settings.watchMode && leaderElection.isLeader()) {
+        logWatcher.ensureWatching();
+    } else {
+        logWatcher.stop();
+    }
+
+    // Retention cleanup, also run whenever this window becomes the collector
+    retentionTimer = setInterval(runRetentionJob, RETENTION_INTERVAL_MS);
+
+    // Auto-collection: once a day at a fixed time, or every N minutes (60 by default)
+    if (settings.dailyCollectionTime !== null) {
+        scheduleDailyCollection(settings);
+    } else {
+        autoCollectionTimer = setInterval(
+            () => runAutoCollection(settings),
+            settings.collectionIntervalMinutes * 60 * 1000
+        );
+    }
 }
 
 /**
- * Deactivate extension
+ * Stop all automatic timers
  */
-function deactivate() {
-    // Clean up timers
+function clearTimers() {
     if (healthCheckTimer) {
         clearInterval(healthCheckTimer);
         healthCheckTimer = null;
     }
     if (autoCollectionTimer) {
-        clearInterval(autoCollectionTimer);
+        // Works for both the interval and the daily timeout
+        clearTimeout(autoCollectionTimer);
         autoCollectionTimer = null;
     }
+    if (retentionTimer) {
+        clearInterval(retentionTimer);
+        retentionTimer = null;
+    }
+}
+
+/**
+ * Deactivate extension
+ */
+function deactivate() {
+    // Clean up timers
+    clearTimers();
+    if (logWatcher) {
+        logWatcher.stop();
+    }
+
+    // Optional last collection so nothing written since the last run is missed,
+    // then hand leadership to another window
+    if (logCollector && leaderElection && leaderElection.isLeader() && getScheduleSettings().collectOnDeactivate) {
+        return logCollector.collectOnShutdown().catch(error => {
+            console.warn(`Collection on deactivate failed: ${error.message}`);
+        }).finally(() => leaderElection.dispose());
+    }
+    if (leaderElection) {
+        leaderElection.dispose();
+    }
 }
 
 module.exports = {
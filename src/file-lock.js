@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Crash-safe writes and a cross-process lock for files shared by every open
+ * VS Code window (state, metrics, events). No VS Code API is used here.
+ */
+
+// A lock whose holder has not refreshed it for this long is considered abandoned
+const DEFAULT_STALE_MS = 10 * 60 * 1000;
+
+// Windows refuses to replace a file another process has open; retry briefly
+const RENAME_RETRIES = 5;
+const RENAME_RETRY_DELAY_MS = 50;
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file by writing a temporary sibling, flushing it to disk and
+ * renaming it over the target, so readers (and a crash) only ever see the
+ * old or the new content, never a half-written file
+ */
+function writeFileAtomic(filePath, data, encoding = 'utf8') {
+    const dir = path.dirname(filePath);
+    const tempFile = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}.tmp`);
+
+    try {
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeFileSync(fd, data, encoding);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                fs.renameSync(tempFile, filePath);
+                break;
+            } catch (error) {
+                if (attempt >= RENAME_RETRIES || !['EPERM', 'EACCES', 'EBUSY'].includes(error.code)) {
+                    throw error;
+                }
+                sleepSync(RENAME_RETRY_DELAY_MS);
+            }
+        }
+    } catch (error) {
+        try {
+            fs.unlinkSync(tempFile);
+        } catch {
+            // Already renamed or never created
+        }
+        throw error;
+    }
+}
+
+/**
+ * Whether a process id is running on this machine
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Who holds a lock file: { pid, hostname, acquiredAt, refreshedAt }, or null
+ * when it does not exist. A lock still being written has no holder details.
+ */
+function readLock(lockFile) {
+    let stat;
+    try {
+        stat = fs.statSync(lockFile);
+    } catch {
+        return null;
+    }
+    let holder = {};
+    try {
+        holder = JSON.parse(fs.readFileSync(lockFile, 'utf8')) || {};
+    } catch {
+        // Created but not written yet, or damaged
+    }
+    return { ...holder, refreshedAt: stat.mtimeMs };
+}
+
+/**
+ * A lock is stale when its holder stopped refreshing it, or when it was taken
+ * on this machine by a process that no longer exists (a crashed window)
+ */
+function isStaleLock(holder, staleMs, now = Date.now()) {
+    if (now - holder.refreshedAt > staleMs) {
+        return true;
+    }
+    return holder.hostname === os.hostname() && Number.isInteger(holder.pid) && !isProcessAlive(holder.pid);
+}
+
+function isSameHolder(a, b) {
+    return a.pid === b.pid && a.hostname === b.hostname && a.acquiredAt === b.acquiredAt && a.refreshedAt === b.refreshedAt;
+}
+
+/**
+ * Remove a lock found stale, unless it is no longer the one that was found.
+ * Two processes can see the same stale lock and one may already have taken it
+ * over, so the lock is first renamed to a unique tombstone (only one rename
+ * wins) and checked there; a fresh lock moved by mistake is put back.
+ * Returns whether the stale lock was removed.
+ */
+function removeStaleLock(lockFile, staleHolder, staleMs = DEFAULT_STALE_MS) {
+    const tombstone = `${lockFile}.${process.pid}.${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}.stale`;
+    try {
+        fs.renameSync(lockFile, tombstone);
+    } catch {
+        // Someone else moved it first
+        return false;
+    }
+
+    const removed = readLock(tombstone);
+    const isStaleHolder = removed && isSameHolder(removed, staleHolder) && isStaleLock(removed, staleMs);
+    if (!isStaleHolder) {
+        try {
+            // Fails if yet another process created a lock meanwhile; theirs stays
+            fs.linkSync(tombstone, lockFile);
+        } catch {
+            // Nothing to restore over
+        }
+    }
+    try {
+        fs.unlinkSync(tombstone);
+    } catch {
+        // Already gone
+    }
+    return Boolean(isStaleHolder);
+}
+
+/**
+ * Try once to take the lock. Returns { acquired: true } or
+ * { acquired: false, holder } when another live process has it.
+ * A stale lock is removed (see removeStaleLock) and taken over.
+ */
+function tryAcquireLock(lockFile, staleMs = DEFAULT_STALE_MS) {
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const fd = fs.openSync(lockFile, 'wx');
+            try {
+                fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: Date.now() }), 'utf8');
+            } finally {
+                fs.closeSync(fd);
+            }
+            return { acquired: true };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const holder = readLock(lockFile);
+        if (holder && !isStaleLock(holder, staleMs)) {
+            return { acquired: false, holder };
+        }
+        if (holder) {
+            removeStaleLock(lockFile, holder, staleMs);
+        }
+    }
+
+    return { acquired: false, holder: readLock(lockFile) };
+}
+
+/**
+ * Release a lock, but only if this process still holds it (it may have been
+ * taken over as stale meanwhile)
+ */
+function releaseLock(lockFile) {
+    const holder = readLock(lockFile);
+    if (holder && holder.pid === process.pid && holder.hostname === os.hostname()) {
+        try {
+            fs.unlinkSync(lockFile);
+        } catch {
+            // Already gone
+        }
+    }
+}
+
+/**
+ * Run task while holding one or more locks (taken in order), refreshing them
+ * so long runs are not taken over as stale. Never waits: returns
+ * { acquired: false, holder } at once when another process holds any of
+ * them, otherwise { acquired: true, result }.
+ */
+async function withFileLock(lockFiles, task, staleMs = DEFAULT_STALE_MS) {
+    const files = Array.isArray(lockFiles) ? lockFiles : [lockFiles];
+    const held = [];
+    try {
+        for (const lockFile of files) {
+            const attempt = tryAcquireLock(lockFile, staleMs);
+            if (!attempt.acquired) {
+                held.forEach(releaseLock);
+                return attempt;
+            }
+            held.push(lockFile);
+        }
+    } catch (error) {
+        held.forEach(releaseLock);
+        throw error;
+    }
+
+    const refresh = setInterval(() => {
+        const now = new Date();
+        for (const lockFile of held) {
+            try {
+                fs.utimesSync(lockFile, now, now);
+            } catch {
+                // Lost the lock file; the run still finishes with atomic writes
+            }
+        }
+    }, Math.max(1000, Math.floor(staleMs / 3)));
+
+    try {
+        return { acquired: true, result: await task() };
+    } finally {
+        clearInterval(refresh);
+        held.forEach(releaseLock);
+    }
+}
+
+module.exports = {
+    DEFAULT_STALE_MS,
+    writeFileAtomic,
+    readLock,
+    isStaleLock,
+    removeStaleLock,
+    tryAcquireLock,
+    releaseLock,
+    withFileLock
+};
@@ -2,6 +2,31 @@ const fs = require('fs');
 const path = require('path');
 const { getPersistedLogsDirectory } = require('./helpers');
 
+// Temporary files younger than this may still belong to a write in progress
+const TEMP_FILE_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Delete old ".<name>.<pid>.<id>.tmp" files from an interrupted atomic write
+ */
+function removeLeftoverTempFiles(dir, fileNames) {
+    let removed = 0;
+    for (const fileName of fileNames) {
+        if (!/^\..+\.tmp$/.test(fileName)) {
+            continue;
+        }
+        const filePath = path.join(dir, fileName);
+        try {
+            if (Date.now() - fs.statSync(filePath).mtimeMs > TEMP_FILE_MAX_AGE_MS) {
+                fs.unlinkSync(filePath);
+                removed++;
+            }
+        } catch {
+            // Renamed or removed meanwhile
+        }
+    }
+    return removed;
+}
+
 /**
  * Performs health checks on logs and metrics
  * Detects file deletions and triggers recovery
@@ -43,6 +68,9 @@ class HealthChecker {
                 needsRecollection = true;
             }
 
+            // Prune state kept for log files VS Code has since deleted
+            const stateCompaction = this.compactState();
+
             // Build status report
             const status = {
                 healthy: issues.length === 0,
@@ -51,6 +79,7 @@ class HealthChecker {
                 metricsFileCount: metricsCheck.metricsFileCount,
                 hasMetrics: metricsCheck.hasMetrics,
                 needsRecollection,
+                stateCompaction,
                 issues,
                 warnings,
                 timestamp: new Date().toISOString()
@@ -104,6 +133,12 @@ class HealthChecker {
                 metricsFileCount = metricFiles.length;
                 hasMetrics = metricsFileCount > 0;
 
+                // Temporary files left behind by an atomic write interrupted by a crash
+                const leftovers = removeLeftoverTempFiles(metricsDir, files);
+                if (leftovers > 0) {
+                    warnings.push(`Removed ${leftovers} leftover temporary file(s)`);
+                }
+
                 // Validate each metrics file
                 for (const fileName of metricFiles) {
                     const filePath = path.join(metricsDir, fileName);
@@ -129,7 +164,9 @@ class HealthChecker {
                     const parsingState = this.stateManager.loadParsingState();
                     const hadPreviousParse = parsingState.lastParse && parsingState.lastParse > 0;
 
-                    if (hadPreviousParse) {
+                    if (hadPreviousParse && this.wasRemovedByRetention(parsingState)) {
+                        warnings.push('All metrics files have passed their retention period and were removed by the cleanup');
+                    } else if (hadPreviousParse) {
                         issues.push('All metrics files were deleted');
                         warnings.push('Will regenerate metrics from source logs');
                         needsRecollection = true;
@@ -144,10 +181,41 @@ class HealthChecker {
         return { issues, warnings, needsRecollection, metricsFileCount, hasMetrics };
     }
 
+    /**
+     * Whether the retention cleanup removed metrics after they were last
+     * written, i.e. their absence is intentional and needs no recovery
+     */
+    wasRemovedByRetention(parsingState) {
+        const retentionState = this.stateManager.loadRetentionState();
+        const removedAt = (retentionState.lastRemovedAt || {}).metrics || 0;
+        return removedAt > 0 && removedAt >= (parsingState.lastParse || 0);
+    }
+
+    /**
+     * Compact collection and parsing state; a failure here is logged, not a health issue
+     */
+    compactState() {
+        try {
+            return this.stateManager.compactStates();
+        } catch (error) {
+            this.outputChannel.appendLine(`Could not compact state: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Log health status
      */
     logHealthStatus(status) {
+        const compaction = status.stateCompaction;
+        if (compaction && compaction.prunedFiles > 0) {
+            const megabytes = (compaction.prunedBytes / (1024 * 1024)).toFixed(1);
+            this.outputChannel.appendLine(
+                `🧹 Pruned state for ${compaction.prunedFiles} vanished log file(s) (${megabytes} MB parsed, ${compaction.totalPrunedFiles} pruned in total)` +
+                (compaction.pendingFiles > 0 ? `; ${compaction.pendingFiles} more in the grace period` : '')
+            );
+        }
+
         if (status.healthy) {
             this.outputChannel.appendLine(
                 `✅ Health Check: OK (${status.metricsFileCount} metrics files)`
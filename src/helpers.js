@@ -1,55 +1,255 @@
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
-const vscode = require('vscode');
+const { writeFileAtomic } = require('./file-lock');
+const { stampDocument } = require('./schema');
 
 /**
- * Get all possible VS Code log session directories
+ * Desktop products whose user-data folder holds a logs/ directory
+ * (folder is the product's name under the OS application-data folder)
  */
-function getVSCodeLogDirectories() {
+const DESKTOP_PRODUCTS = [
+    { product: 'Visual Studio Code', folder: 'Code' },
+    { product: 'Visual Studio Code - Insiders', folder: 'Code - Insiders' },
+    { product: 'VSCodium', folder: 'VSCodium' },
+    { product: 'VSCodium - Insiders', folder: 'VSCodium - Insiders' },
+    { product: 'Cursor', folder: 'Cursor' }
+];
+
+/**
+ * Remote server installs (Remote-SSH, WSL, Dev Containers), under the home folder
+ */
+const SERVER_PRODUCTS = [
+    { product: 'Visual Studio Code Server', folder: '.vscode-server' },
+    { product: 'Visual Studio Code Server - Insiders', folder: '.vscode-server-insiders' },
+    { product: 'VSCodium Server', folder: '.vscodium-server' },
+    { product: 'Cursor Server', folder: '.cursor-server' }
+];
+
+const DEFAULT_PRODUCT = 'Visual Studio Code';
+
+// User-data folder of the running window (set at activation, covers --user-data-dir and portable mode)
+let runningUserDataDirectory = null;
+
+// Log session folder of the running window ({ path, product }), from the extension's log location
+let runningSession = null;
+
+/**
+ * Remember the running window's user-data folder, derived from the
+ * extension's global storage (<user-data>/User/globalStorage/<extension>)
+ */
+function setRunningUserDataDirectory(globalStoragePath) {
+    runningUserDataDirectory = globalStoragePath
+        ? path.resolve(globalStoragePath, '..', '..', '..')
+        : null;
+}
+
+/**
+ * Remember the running window's log session folder, found by walking up from
+ * the extension's own log folder (<logs>/<YYYYMMDDTHHMMSS>/window1/exthost/<extension>)
+ */
+function setRunningSessionFromLogPath(logPath, product = null) {
+    runningSession = null;
+    if (!logPath) {
+        return null;
+    }
+
+    let current = path.resolve(logPath);
+    while (current !== path.dirname(current)) {
+        if (/^\d{8}T\d{6}$/.test(path.basename(current))) {
+            runningSession = { path: current, product: product || guessProductFromPath(current) };
+            break;
+        }
+        current = path.dirname(current);
+    }
+    return runningSession ? runningSession.path : null;
+}
+
+/**
+ * The running window's log session folder, when known and still present
+ */
+function getRunningSessionDirectory() {
+    return runningSession && fs.existsSync(runningSession.path) ? runningSession.path : null;
+}
+
+/**
+ * Expand a leading ~ to the home folder
+ */
+function expandHomeDirectory(dirPath) {
+    if (dirPath === '~' || dirPath.startsWith('~/') || dirPath.startsWith('~\\')) {
+        return path.join(os.homedir(), dirPath.substring(1));
+    }
+    return dirPath;
+}
+
+/**
+ * Guess the product from a path (used for folders that are not a known root)
+ */
+function guessProductFromPath(dirPath) {
+    const segments = path.resolve(dirPath).split(path.sep).map(segment => segment.toLowerCase());
+    for (const { product, folder } of [...DESKTOP_PRODUCTS, ...SERVER_PRODUCTS]) {
+        if (segments.includes(folder.toLowerCase())) {
+            return product;
+        }
+    }
+    return DEFAULT_PRODUCT;
+}
+
+/**
+ * All known log roots (folders containing YYYYMMDDTHHMMSS session folders),
+ * each tagged with the product that wrote it
+ */
+function getLogRoots() {
     const platform = os.platform();
     const homeDir = os.homedir();
-    const baseDirectories = [];
+    const roots = [];
+    const addRoot = (logsDir, product) => roots.push({ path: path.resolve(logsDir), product });
 
+    // The running window's logs folder first, so its product wins when the folder is also a known root
+    if (runningSession) {
+        addRoot(path.dirname(runningSession.path), runningSession.product);
+    }
+
+    let appDataDir;
     switch (platform) {
         case 'win32':
-            baseDirectories.push(
-                path.join(process.env.APPDATA || path.join(homeDir, 'AppData', 'Roaming'), 'Code', 'logs'),
-                path.join(process.env.LOCALAPPDATA || path.join(homeDir, 'AppData', 'Local'), 'Code', 'logs')
-            );
+            appDataDir = process.env.APPDATA || path.join(homeDir, 'AppData', 'Roaming');
+            // Older installs also wrote logs under Local
+            addRoot(path.join(process.env.LOCALAPPDATA || path.join(homeDir, 'AppData', 'Local'), 'Code', 'logs'), DEFAULT_PRODUCT);
             break;
         case 'darwin':
-            baseDirectories.push(
-                path.join(homeDir, 'Library', 'Application Support', 'Code', 'logs'),
-                path.join(homeDir, 'Library', 'Application Support', 'Code - Insiders', 'logs')
-            );
+            appDataDir = path.join(homeDir, 'Library', 'Application Support');
             break;
-        case 'linux':
-            baseDirectories.push(
-                path.join(homeDir, '.config', 'Code', 'logs'),
-                path.join(homeDir, '.config', 'Code - Insiders', 'logs')
-            );
+        default:
+            appDataDir = process.env.XDG_CONFIG_HOME || path.join(homeDir, '.config');
             break;
     }
+    for (const { product, folder } of DESKTOP_PRODUCTS) {
+        addRoot(path.join(appDataDir, folder, 'logs'), product);
+    }
 
-    const sessionDirectories = [];
-    for (const baseDir of baseDirectories) {
-        if (fs.existsSync(baseDir)) {
-            try {
-                const sessions = fs.readdirSync(baseDir);
-                for (const session of sessions) {
-                    // Match session folder format: YYYYMMDDTHHMMSS
-                    if (/^\d{8}T\d{6}$/.test(session)) {
-                        sessionDirectories.push(path.join(baseDir, session));
-                    }
+    for (const { product, folder } of SERVER_PRODUCTS) {
+        addRoot(path.join(homeDir, folder, 'data', 'logs'), product);
+    }
+
+    // Portable mode keeps user data next to the executable
+    if (process.env.VSCODE_PORTABLE) {
+        addRoot(path.join(process.env.VSCODE_PORTABLE, 'user-data', 'logs'), guessProductFromPath(process.env.VSCODE_PORTABLE));
+    }
+    if (runningUserDataDirectory) {
+        addRoot(path.join(runningUserDataDirectory, 'logs'), guessProductFromPath(runningUserDataDirectory));
+    }
+
+    // Extra roots from settings: a logs folder, a user-data folder or a single session folder
+    const config = require('vscode').workspace.getConfiguration('avocado-copilot-logger');
+    for (const extraRoot of config.get('extraLogRoots', []) || []) {
+        if (typeof extraRoot !== 'string' || !extraRoot.trim()) {
+            continue;
+        }
+        const rootPath = path.resolve(expandHomeDirectory(extraRoot.trim()));
+        const logsSubdir = path.join(rootPath, 'logs');
+        addRoot(fs.existsSync(logsSubdir) ? logsSubdir : rootPath, guessProductFromPath(rootPath));
+    }
+
+    // Same folder reached twice (e.g. the running window uses the default location): keep the first
+    const seen = new Set();
+    return roots.filter(root => {
+        const key = platform === 'win32' ? root.path.toLowerCase() : root.path;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Get all VS Code log session directories, each tagged with its product
+ */
+function getLogSessions() {
+    const sessions = [];
+    for (const root of getLogRoots()) {
+        if (!fs.existsSync(root.path)) {
+            continue;
+        }
+        try {
+            if (/^\d{8}T\d{6}$/.test(path.basename(root.path))) {
+                // The root itself is a session folder
+                sessions.push({ path: root.path, product: root.product });
+                continue;
+            }
+            for (const session of fs.readdirSync(root.path)) {
+                // Match session folder format: YYYYMMDDTHHMMSS
+                if (/^\d{8}T\d{6}$/.test(session)) {
+                    sessions.push({ path: path.join(root.path, session), product: root.product });
                 }
-            } catch (error) {
-                console.warn(`Could not read VS Code logs directory ${baseDir}: ${error}`);
             }
+        } catch (error) {
+            console.warn(`Could not read VS Code logs directory ${root.path}: ${error}`);
+        }
+    }
+    return sessions;
+}
+
+/**
+ * Get all possible VS Code log session directories
+ */
+function getVSCodeLogDirectories() {
+    return getLogSessions().map(session => session.path);
+}
+
+/**
+ * Product that wrote a log file, from the longest matching log root
+ */
+function getProductForLogFile(filePath) {
+    const resolved = path.resolve(filePath);
+    let best = null;
+    for (const root of getLogRoots()) {
+        if ((resolved === root.path || resolved.startsWith(root.path + path.sep)) && (!best || root.path.length > best.path.length)) {
+            best = root;
         }
     }
+    return best ? best.product : DEFAULT_PRODUCT;
+}
+
+/**
+ * Get the running window's log session directory, falling back to the
+ * newest session found by the directory scan
+ */
+function getCurrentSessionDirectory() {
+    const runningSessionDir = getRunningSessionDirectory();
+    if (runningSessionDir) {
+        return runningSessionDir;
+    }
 
-    return sessionDirectories;
+    const sessions = getVSCodeLogDirectories();
+    if (sessions.length === 0) {
+        return null;
+    }
+    // Session folders are named YYYYMMDDTHHMMSS, so the name sorts by start time
+    return sessions.sort((a, b) => path.basename(a).localeCompare(path.basename(b))).pop();
+}
+
+/**
+ * Check whether a file name is an official GitHub Copilot log
+ */
+function isCopilotLogFileName(fileName) {
+    // Pattern match for ONLY official GitHub Copilot logs - exclude third-party extensions
+    const isLogFile =
+        /^GitHub Copilot( Chat)?\.log(\.\d+)?$/i.test(fileName) ||
+        /^GitHub Copilot.*\.log\.\d+$/i.test(fileName) ||
+        /^GitHub.*Copilot.*\.old$/i.test(fileName) ||
+        /GitHub.*Copilot.*\d{4}-\d{2}-\d{2}/i.test(fileName);
+
+    // Explicitly exclude third-party extension logs
+    const isThirdPartyExtension =
+        fileName.toLowerCase().includes('insights') ||
+        fileName.toLowerCase().includes('tracker') ||
+        /^\d+-.*copilot.*\.log$/i.test(fileName) ||
+        fileName.toLowerCase().includes('extension');
+
+    return isLogFile && !isThirdPartyExtension;
 }
 
 /**
@@ -66,21 +266,7 @@ async function findCopilotLogFiles(directory) {
 
             try {
                 if (item.isFile()) {
-                    // Pattern match for ONLY official GitHub Copilot logs - exclude third-party extensions
-                    const isLogFile =
-                        /^GitHub Copilot( Chat)?\.log(\.\d+)?$/i.test(item.name) ||
-                        /^GitHub Copilot.*\.log\.\d+$/i.test(item.name) ||
-                        /^GitHub.*Copilot.*\.old$/i.test(item.name) ||
-                        /GitHub.*Copilot.*\d{4}-\d{2}-\d{2}/i.test(item.name);
-                    
-                    // Explicitly exclude third-party extension logs
-                    const isThirdPartyExtension =
-                        item.name.toLowerCase().includes('insights') ||
-                        item.name.toLowerCase().includes('tracker') ||
-                        /^\d+-.*copilot.*\.log$/i.test(item.name) ||
-                        item.name.toLowerCase().includes('extension');
-
-                    if (isLogFile && !isThirdPartyExtension) {
+                    if (isCopilotLogFileName(item.name)) {
                         logFiles.push(fullPath);
                     }
                 } else if (item.isDirectory()) {
@@ -102,7 +288,7 @@ async function findCopilotLogFiles(directory) {
 
 function getPersistedLogsDirectory(userConfig = null) {
     // Check for user-configured custom directory
-    const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+    const config = require('vscode').workspace.getConfiguration('avocado-copilot-logger');
     const customDir = config.get('logDirectory');
 
     let logsDir;
@@ -168,12 +354,12 @@ function loadCollectionState(globalStoragePath) {
 function saveCollectionState(state, globalStoragePath) {
     const stateFile = getCollectionStateFile(globalStoragePath);
     try {
-        const data = {
+        const data = stampDocument('collectionState', {
             lastCollection: state.lastCollection || Date.now(),
             processedFiles: Array.from(state.processedFiles || []),
             fileSizes: state.fileSizes || {}
-        };
-        fs.writeFileSync(stateFile, JSON.stringify(data, null, 2));
+        });
+        writeFileAtomic(stateFile, JSON.stringify(data, null, 2));
     } catch (error) {
         console.error('Could not save collection state:', error);
     }
@@ -215,12 +401,69 @@ function parseLogTimestamp(filename) {
     return null;
 }
 
+/**
+ * Parse "HH:MM" into minutes after midnight (null when empty or invalid)
+ */
+function parseTimeOfDay(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Check whether a local time falls in a daily window given in minutes after
+ * midnight. Windows may wrap past midnight (e.g. 22:00 - 07:00).
+ */
+function isWithinTimeWindow(date, startMinutes, endMinutes) {
+    if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+        return false;
+    }
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (startMinutes < endMinutes) {
+        return minutes >= startMinutes && minutes < endMinutes;
+    }
+    return minutes >= startMinutes || minutes < endMinutes;
+}
+
+/**
+ * Milliseconds from a date until the next local occurrence of a time of day
+ */
+function msUntilTimeOfDay(minutes, from = new Date()) {
+    const next = new Date(from);
+    next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (next <= from) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next.getTime() - from.getTime();
+}
+
+/**
+ * Stable short id for a source log file, so metrics never store its full path
+ */
+function getSourceFileId(filePath) {
+    return crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex').substring(0, 16);
+}
 
 module.exports = {
+    DEFAULT_PRODUCT,
+    setRunningUserDataDirectory,
+    setRunningSessionFromLogPath,
+    getRunningSessionDirectory,
+    getLogRoots,
+    getLogSessions,
     getVSCodeLogDirectories,
+    getProductForLogFile,
+    getCurrentSessionDirectory,
+    isCopilotLogFileName,
     findCopilotLogFiles,
     getPersistedLogsDirectory,
     loadCollectionState,
     saveCollectionState,
-    parseLogTimestamp
+    parseLogTimestamp,
+    getSourceFileId,
+    parseTimeOfDay,
+    isWithinTimeWindow,
+    msUntilTimeOfDay
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Latency statistics that can be merged across incremental batches.
+ *
+ * Exact percentiles need every sample, which we don't keep once a batch
+ * is aggregated. Instead each stats object carries a fixed-bucket histogram
+ * (upper bounds in ms) that can be summed, and percentiles are estimated
+ * from it. Count, total, min and max stay exact.
+ */
+const LATENCY_BUCKETS = [
+    50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000,
+    5000, 7500, 10000, 15000, 20000, 30000, 60000, 120000
+];
+const OVERFLOW_BUCKET = 'Infinity';
+
+/**
+ * Create an empty latency stats object
+ */
+function createLatencyStats() {
+    return { count: 0, totalMs: 0, minMs: null, maxMs: null, histogram: {} };
+}
+
+/**
+ * Find the histogram bucket key for a response time
+ */
+function getBucketKey(ms) {
+    const bound = LATENCY_BUCKETS.find(b => ms <= b);
+    return bound === undefined ? OVERFLOW_BUCKET : String(bound);
+}
+
+/**
+ * Add a single response time (ms) to the stats
+ */
+function addLatencySample(stats, ms) {
+    if (typeof ms !== 'number' || !isFinite(ms) || ms < 0) {
+        return stats;
+    }
+    stats.count += 1;
+    stats.totalMs += ms;
+    stats.minMs = stats.minMs === null ? ms : Math.min(stats.minMs, ms);
+    stats.maxMs = stats.maxMs === null ? ms : Math.max(stats.maxMs, ms);
+
+    const key = getBucketKey(ms);
+    stats.histogram[key] = (stats.histogram[key] || 0) + 1;
+    return stats;
+}
+
+/**
+ * Merge two stats objects (raw or summarized) into a new raw stats object
+ */
+function mergeLatencyStats(a, b) {
+    const merged = createLatencyStats();
+    for (const stats of [a, b]) {
+        if (!stats || !stats.count) continue;
+
+        merged.count += stats.count;
+        merged.totalMs += stats.totalMs || 0;
+        if (typeof stats.minMs === 'number') {
+            merged.minMs = merged.minMs === null ? stats.minMs : Math.min(merged.minMs, stats.minMs);
+        }
+        if (typeof stats.maxMs === 'number') {
+            merged.maxMs = merged.maxMs === null ? stats.maxMs : Math.max(merged.maxMs, stats.maxMs);
+        }
+        for (const [key, count] of Object.entries(stats.histogram || {})) {
+            merged.histogram[key] = (merged.histogram[key] || 0) + count;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Estimate a percentile (0-100) from the histogram, interpolating inside the bucket
+ */
+function estimatePercentile(stats, percentile) {
+    if (!stats.count) return null;
+
+    const rank = Math.max(1, Math.ceil((percentile / 100) * stats.count));
+    let cumulative = 0;
+    let lowerBound = 0;
+
+    for (const bound of [...LATENCY_BUCKETS, OVERFLOW_BUCKET]) {
+        const key = String(bound);
+        const upperBound = key === OVERFLOW_BUCKET ? stats.maxMs : bound;
+        const inBucket = stats.histogram[key] || 0;
+
+        if (inBucket > 0 && cumulative + inBucket >= rank) {
+            const fraction = (rank - cumulative) / inBucket;
+            const estimate = lowerBound + (upperBound - lowerBound) * fraction;
+            return Math.min(stats.maxMs, Math.max(stats.minMs, estimate));
+        }
+        cumulative += inBucket;
+        if (key !== OVERFLOW_BUCKET) {
+            lowerBound = bound;
+        }
+    }
+    return stats.maxMs;
+}
+
+/**
+ * Round to 2 decimals, keeping null as-is
+ */
+function round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the persisted form: exact totals, estimated percentiles and the histogram
+ */
+function summarizeLatency(stats) {
+    const source = stats || createLatencyStats();
+    return {
+        count: source.count,
+        totalMs: round(source.totalMs),
+        meanMs: source.count ? round(source.totalMs / source.count) : null,
+        minMs: round(source.minMs),
+        maxMs: round(source.maxMs),
+        p50Ms: round(estimatePercentile(source, 50)),
+        p90Ms: round(estimatePercentile(source, 90)),
+        p99Ms: round(estimatePercentile(source, 99)),
+        histogram: { ...source.histogram }
+    };
+}
+
+module.exports = {
+    LATENCY_BUCKETS,
+    createLatencyStats,
+    addLatencySample,
+    mergeLatencyStats,
+    summarizeLatency
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, tryAcquireLock, releaseLock } = require('./file-lock');
+
+// How often every window checks (and the leader refreshes) the heartbeat
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+
+// A leader that has not refreshed its heartbeat for this long is taken over
+const LEADER_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+/**
+ * Elects one VS Code window as the collector. Every window runs activate(),
+ * but only the leader collects and runs health checks; the others show its
+ * status and take over when it closes or stops sending heartbeats.
+ *
+ * The leader writes leader.json in global storage (shared by all windows of
+ * one install) every few seconds: { windowId, pid, hostname, since,
+ * heartbeatAt, healthStatus, collectedAt }. Followers read it on every check
+ * and refresh what they show when the leader has collected since. A claim is
+ * made under a short-lived lock so two windows never both become leader.
+ */
+class LeaderElection {
+    /**
+     * @param {object} options
+     * @param {Function} [options.onRoleChange] called with (isLeader, leaderRecord) when this window's role changes
+     * @param {Function} [options.onLeaderStatus] called on followers with the leader's shared health status
+     * @param {Function} [options.onLeaderCollected] called on followers with the time of each new collection by the leader
+     */
+    constructor(stateManager, outputChannel, options = {}) {
+        this.stateManager = stateManager;
+        this.outputChannel = outputChannel;
+        this.onRoleChange = options.onRoleChange || (() => {});
+        this.onLeaderStatus = options.onLeaderStatus || (() => {});
+        this.onLeaderCollected = options.onLeaderCollected || (() => {});
+        this.windowId = crypto.randomUUID();
+        this.leader = null; // unknown until the first check
+        this.since = null;
+        this.healthStatus = null;
+        this.collectedAt = null;
+        this.seenCollectedAt = null;
+        this.timer = null;
+    }
+
+    getHeartbeatFile() {
+        return path.join(this.stateManager.getStateStoragePath(), 'leader.json');
+    }
+
+    getClaimLockFile() {
+        return path.join(this.stateManager.getStateStoragePath(), 'leader.lock');
+    }
+
+    /**
+     * Run the first election now, then keep checking the heartbeat
+     */
+    start() {
+        this.tick();
+        this.timer = setInterval(() => this.tick(), HEARTBEAT_INTERVAL_MS);
+    }
+
+    isLeader() {
+        return this.leader === true;
+    }
+
+    /**
+     * The current leader's heartbeat record, or null when there is none
+     */
+    readLeader() {
+        try {
+            return JSON.parse(fs.readFileSync(this.getHeartbeatFile(), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Whether a heartbeat record still belongs to a running window
+     */
+    isAlive(record, now = Date.now()) {
+        if (!record || !record.windowId || now - (record.heartbeatAt || 0) > LEADER_TIMEOUT_MS) {
+            return false;
+        }
+        if (record.hostname === os.hostname() && Number.isInteger(record.pid)) {
+            try {
+                process.kill(record.pid, 0);
+            } catch (error) {
+                return error.code === 'EPERM';
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Refresh our heartbeat, or check whether the leader is gone and claim its place
+     */
+    tick() {
+        try {
+            const record = this.readLeader();
+            if (record && record.windowId === this.windowId) {
+                this.writeHeartbeat();
+                return;
+            }
+            if (this.isAlive(record)) {
+                this.setLeader(false, record);
+                this.onLeaderStatus(record.healthStatus || null);
+                if (record.collectedAt && record.collectedAt !== this.seenCollectedAt) {
+                    this.seenCollectedAt = record.collectedAt;
+                    this.onLeaderCollected(record.collectedAt);
+                }
+                return;
+            }
+            this.claim();
+        } catch (error) {
+            this.outputChannel.appendLine(`Leader election failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take over leadership if still vacant once we hold the claim lock
+     */
+    claim() {
+        const lockFile = this.getClaimLockFile();
+        if (!tryAcquireLock(lockFile, LEADER_TIMEOUT_MS).acquired) {
+            return; // Another window is claiming right now
+        }
+        try {
+            const record = this.readLeader();
+            if (record && record.windowId !== this.windowId && this.isAlive(record)) {
+                this.setLeader(false, record);
+                return;
+            }
+            this.since = Date.now();
+            this.writeHeartbeat();
+            this.setLeader(true, this.readLeader());
+        } finally {
+            releaseLock(lockFile);
+        }
+    }
+
+    writeHeartbeat() {
+        writeFileAtomic(this.getHeartbeatFile(), JSON.stringify({
+            windowId: this.windowId,
+            pid: process.pid,
+            hostname: os.hostname(),
+            since: this.since,
+            heartbeatAt: Date.now(),
+            healthStatus: this.healthStatus,
+            collectedAt: this.collectedAt
+        }, null, 2));
+    }
+
+    /**
+     * Share the leader's latest health check with the other windows
+     */
+    shareHealthStatus(status) {
+        if (!status) {
+            return;
+        }
+        this.healthStatus = {
+            healthy: status.healthy,
+            issues: status.issues || [],
+            warnings: status.warnings || [],
+            timestamp: status.timestamp
+        };
+        if (this.isLeader()) {
+            try {
+                this.writeHeartbeat();
+            } catch {
+                // Shared on the next heartbeat
+            }
+        }
+    }
+
+    /**
+     * Tell the other windows that the leader has just written new metrics
+     */
+    shareCollection(collectedAt = Date.now()) {
+        if (!this.isLeader()) {
+            return;
+        }
+        this.collectedAt = collectedAt;
+        try {
+            this.writeHeartbeat();
+        } catch {
+            // Shared on the next heartbeat
+        }
+    }
+
+    setLeader(isLeader, record) {
+        if (isLeader === this.leader) {
+            return;
+        }
+        this.leader = isLeader;
+        if (isLeader) {
+            this.outputChannel.appendLine('👑 This window is now the collector for Copilot logs');
+        } else {
+            this.outputChannel.appendLine(`Copilot logs are collected by another window (pid ${record ? record.pid : 'unknown'})`);
+        }
+        this.onRoleChange(isLeader, record);
+    }
+
+    /**
+     * Stop taking part; a leader removes its heartbeat so another window takes over at its next check
+     */
+    dispose() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (!this.isLeader()) {
+            return;
+        }
+        this.leader = false;
+        try {
+            const record = this.readLeader();
+            if (record && record.windowId === this.windowId) {
+                fs.unlinkSync(this.getHeartbeatFile());
+            }
+        } catch {
+            // Taken over by its timeout instead
+        }
+    }
+}
+
+module.exports = LeaderElection;
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { getSourceFileId } = require('./helpers');
+
+// Bytes hashed for the first-line fingerprint (longer first lines are cut)
+const FINGERPRINT_BYTES = 1024;
+
+// Read size for streaming log files
+const CHUNK_BYTES = 1024 * 1024;
+
+// Rotated-away identities kept so a late-discovered .log.N / .old file can resume
+const MAX_ROTATED_FILES = 200;
+
+/**
+ * Rotated copies (.log.1, .old) are no longer written to, so their last
+ * line is complete even without a trailing newline
+ */
+function isRotatedLogFileName(fileName) {
+    return /\.log\.\d+$/i.test(fileName) || /\.old$/i.test(fileName);
+}
+
+/**
+ * Identity of a log file: device and inode plus a hash of its first complete
+ * line (null until the first line is complete)
+ */
+function getFileIdentity(file) {
+    const stat = fs.statSync(file, { bigint: true });
+    const size = Number(stat.size);
+    let fingerprint = null;
+
+    if (size > 0) {
+        const fd = fs.openSync(file, 'r');
+        try {
+            const buffer = Buffer.alloc(Math.min(FINGERPRINT_BYTES, size));
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            const head = buffer.subarray(0, bytesRead);
+            const newline = head.indexOf(0x0a);
+            if (newline >= 0 || bytesRead === FINGERPRINT_BYTES) {
+                const firstLine = newline >= 0 ? head.subarray(0, newline) : head;
+                fingerprint = crypto.createHash('sha1').update(firstLine).digest('hex').substring(0, 16);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    return { dev: stat.dev.toString(), ino: stat.ino.toString(), size, fingerprint };
+}
+
+/**
+ * Whether two identities describe the same file. Inodes are compared when
+ * both are known (not 0); fingerprints when both lines were complete.
+ */
+function isSameFile(a, b) {
+    if (!a || !b) {
+        return false;
+    }
+    const inodesKnown = a.ino && b.ino && a.ino !== '0' && b.ino !== '0';
+    if (inodesKnown && (a.dev !== b.dev || a.ino !== b.ino)) {
+        return false;
+    }
+    if (a.fingerprint && b.fingerprint) {
+        return a.fingerprint === b.fingerprint;
+    }
+    // No inode to go by: an unfingerprinted file can't be told apart
+    return Boolean(inodesKnown);
+}
+
+/**
+ * Source id used in metric contributions. Generation 0 keeps the plain
+ * path id so entries written before rotation tracking stay comparable.
+ */
+function getGenerationSourceId(file, generation) {
+    return generation ? getSourceFileId(`${file}#${generation}`) : getSourceFileId(file);
+}
+
+/**
+ * Convert a pre-byte-offset (character count) position to bytes, reading
+ * the file in chunks only as far as that position
+ */
+function charOffsetToBytes(file, charOffset) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const chunk = Buffer.alloc(CHUNK_BYTES);
+        // Characters split across two chunks are decoded once both halves are in
+        const decoder = new StringDecoder('utf8');
+        let position = 0;
+        let chars = 0;
+        let bytes = 0;
+        let bytesRead;
+
+        while (chars < charOffset && (bytesRead = fs.readSync(fd, chunk, 0, CHUNK_BYTES, position)) > 0) {
+            position += bytesRead;
+            const text = decoder.write(chunk.subarray(0, bytesRead));
+            const needed = charOffset - chars;
+            if (text.length >= needed) {
+                return bytes + Buffer.byteLength(text.substring(0, needed), 'utf8');
+            }
+            chars += text.length;
+            bytes += Buffer.byteLength(text, 'utf8');
+        }
+        return bytes + Buffer.byteLength(decoder.end().substring(0, charOffset - chars), 'utf8');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Match this run's files against the tracked ones in parsingState and fix up
+ * their byte offsets before anything is read:
+ * - a file renamed by rotation (X.log → X.log.1 / X.old) resumes where X.log stopped;
+ * - a file replaced or truncated in place restarts at 0 under a new source id,
+ *   so its lines don't collide with the segments counted for the old content;
+ * - offsets stored as character counts by older versions are converted to bytes.
+ * Returns human readable notes about what changed.
+ */
+function reconcileFileIdentities(files, parsingState) {
+    parsingState.processedFiles = parsingState.processedFiles || {};
+    parsingState.fileIdentities = parsingState.fileIdentities || {};
+    parsingState.rotatedFiles = parsingState.rotatedFiles || [];
+
+    const offsets = parsingState.processedFiles;
+    const tracked = parsingState.fileIdentities;
+    const notes = [];
+
+    const current = new Map();
+    for (const file of files) {
+        try {
+            current.set(file, getFileIdentity(file));
+        } catch {
+            continue; // vanished between discovery and now
+        }
+    }
+
+    // Files still holding the content we tracked for them
+    const unchanged = new Set();
+    for (const [file, identity] of current) {
+        if (isSameFile(tracked[file], identity)) {
+            unchanged.add(file);
+        }
+    }
+
+    // Content that moved to another path (rotation): take over its offset and source id
+    const consumed = new Set();
+    const inherited = new Map();
+    for (const [file, identity] of current) {
+        if (unchanged.has(file)) {
+            continue;
+        }
+        const movedFrom = Object.keys(tracked).find(oldFile =>
+            oldFile !== file && !unchanged.has(oldFile) && !consumed.has(oldFile) &&
+            isSameFile(tracked[oldFile], identity) && !stillHolds(oldFile, tracked[oldFile], current)
+        );
+        if (movedFrom) {
+            consumed.add(movedFrom);
+            inherited.set(file, { ...tracked[movedFrom], offset: offsets[movedFrom] || 0 });
+            notes.push(`${path.basename(movedFrom)} was rotated to ${path.basename(file)}`);
+            continue;
+        }
+        const rotatedIndex = parsingState.rotatedFiles.findIndex(entry => isSameFile(entry, identity));
+        if (rotatedIndex >= 0) {
+            const [entry] = parsingState.rotatedFiles.splice(rotatedIndex, 1);
+            inherited.set(file, entry);
+            notes.push(`${path.basename(entry.file)} was rotated to ${path.basename(file)}`);
+        }
+    }
+
+    const nextTracked = { ...tracked };
+    for (const file of consumed) {
+        if (!current.has(file)) {
+            delete nextTracked[file];
+            delete offsets[file];
+        }
+    }
+
+    for (const [file, identity] of current) {
+        const previous = tracked[file];
+
+        if (unchanged.has(file)) {
+            const offset = offsets[file] || 0;
+            if (identity.size < offset) {
+                // Truncated in place and not yet grown back past the old offset
+                const generation = (previous.generation || 0) + 1;
+                nextTracked[file] = { ...identity, generation, sourceId: getGenerationSourceId(file, generation) };
+                offsets[file] = 0;
+                notes.push(`${path.basename(file)} was truncated, reading it from the start`);
+            } else {
+                // Keep the fingerprint once the first line is complete
+                nextTracked[file] = { ...previous, ...identity, fingerprint: identity.fingerprint || previous.fingerprint };
+            }
+            continue;
+        }
+
+        if (inherited.has(file)) {
+            const entry = inherited.get(file);
+            if (previous && !consumed.has(file)) {
+                retireFile(parsingState, file, previous);
+            }
+            nextTracked[file] = { ...identity, generation: entry.generation || 0, sourceId: entry.sourceId };
+            offsets[file] = Math.min(entry.offset || 0, identity.size);
+            continue;
+        }
+
+        if (previous) {
+            // New content at a known path (rotated or replaced): start over under a new source id
+            if (!consumed.has(file)) {
+                retireFile(parsingState, file, previous);
+            }
+            const generation = (previous.generation || 0) + 1;
+            nextTracked[file] = { ...identity, generation, sourceId: getGenerationSourceId(file, generation) };
+            offsets[file] = 0;
+            notes.push(`${path.basename(file)} was replaced, reading it from the start`);
+            continue;
+        }
+
+        // First time seen, or tracked by an older version with a character offset
+        nextTracked[file] = { ...identity, generation: 0, sourceId: getGenerationSourceId(file, 0) };
+        if (offsets[file] > 0) {
+            try {
+                offsets[file] = Math.min(charOffsetToBytes(file, offsets[file]), identity.size);
+            } catch {
+                offsets[file] = 0;
+            }
+        }
+    }
+
+    parsingState.fileIdentities = nextTracked;
+    return notes;
+}
+
+/**
+ * Whether a tracked path not checked in this run (e.g. watch mode passes only
+ * changed files) still holds its tracked content
+ */
+function stillHolds(file, identity, current) {
+    if (current.has(file)) {
+        return false;
+    }
+    try {
+        return isSameFile(identity, getFileIdentity(file));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Remember the identity that used to live at a path, in case it shows up
+ * later under a rotated name
+ */
+function retireFile(parsingState, file, identity) {
+    parsingState.rotatedFiles.push({ ...identity, file, offset: parsingState.processedFiles[file] || 0, retiredAt: Date.now() });
+    if (parsingState.rotatedFiles.length > MAX_ROTATED_FILES) {
+        parsingState.rotatedFiles.splice(0, parsingState.rotatedFiles.length - MAX_ROTATED_FILES);
+    }
+}
+
+/**
+ * Stream the complete lines after a byte offset, reading the file in chunks
+ * with positioned reads so memory stays bounded however large the log is.
+ * onLine(text, lineOffset) gets each line and the byte offset it starts at.
+ * Returns the byte offset the next read should start from. An unfinished
+ * last line is left for the next run unless includePartialLine.
+ */
+function forEachNewLine(file, offset, includePartialLine, onLine) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        const chunk = Buffer.alloc(CHUNK_BYTES);
+        let position = offset;
+        let lineStart = offset;
+        let carry = null;
+
+        while (position < size) {
+            const bytesRead = fs.readSync(fd, chunk, 0, Math.min(CHUNK_BYTES, size - position), position);
+            if (bytesRead <= 0) {
+                break;
+            }
+            position += bytesRead;
+
+            const data = carry ? Buffer.concat([carry, chunk.subarray(0, bytesRead)]) : chunk.subarray(0, bytesRead);
+            let start = 0;
+            let newline;
+            while ((newline = data.indexOf(0x0a, start)) >= 0) {
+                onLine(data.toString('utf8', start, newline), lineStart);
+                lineStart += newline + 1 - start;
+                start = newline + 1;
+            }
+            // Keep the unfinished line; copy it since the chunk buffer is reused
+            carry = start < data.length ? Buffer.from(data.subarray(start)) : null;
+        }
+
+        if (carry && includePartialLine) {
+            onLine(carry.toString('utf8'), lineStart);
+            lineStart += carry.length;
+        }
+        return lineStart;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    isRotatedLogFileName,
+    getFileIdentity,
+    reconcileFileIdentities,
+    forEachNewLine
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { getCurrentSessionDirectory, isCopilotLogFileName } = require('./helpers');
+
+const DEFAULT_DEBOUNCE_MS = 5000;
+// A log written without pause (e.g. a streaming chat reply) is still
+// collected once its first change has waited this many debounce periods
+const MAX_WAIT_DEBOUNCES = 6;
+
+/**
+ * Watches the running VS Code session's Copilot log files and feeds new
+ * lines to the collector shortly after they are written (opt-in watch mode).
+ * The auto-collection timer keeps running as a fallback sweep.
+ */
+class LogWatcher {
+    /**
+     * @param {object} options
+     * @param {Function} [options.onCollected] called with the parse result after each flush
+     * @param {Function} [options.canCollect] return false to skip a flush (e.g. quiet hours)
+     * @param {number} [options.debounceMs] quiet period before changed files are collected
+     * @param {number} [options.maxWaitMs] longest a change waits for a quiet period (default 6 × debounceMs)
+     */
+    constructor(logCollector, outputChannel, options = {}) {
+        this.logCollector = logCollector;
+        this.outputChannel = outputChannel;
+        this.onCollected = options.onCollected || null;
+        this.canCollect = options.canCollect || (() => true);
+        this.debounceMs = options.debounceMs || DEFAULT_DEBOUNCE_MS;
+        this.maxWaitMs = options.maxWaitMs || this.debounceMs * MAX_WAIT_DEBOUNCES;
+        this.sessionDir = null;
+        this.watcher = null;
+        this.pendingFiles = new Set();
+        this.firstPendingAt = null;
+        this.debounceTimer = null;
+        this.flushing = false;
+    }
+
+    /**
+     * Start watching the current session, or move to a newer session if one appeared
+     */
+    ensureWatching() {
+        const sessionDir = getCurrentSessionDirectory();
+        if (!sessionDir || sessionDir === this.sessionDir) {
+            return;
+        }
+
+        this.stop();
+        try {
+            this.watcher = fs.watch(sessionDir, { recursive: true }, (eventType, fileName) => {
+                if (fileName && isCopilotLogFileName(path.basename(fileName.toString()))) {
+                    this.schedule(path.join(sessionDir, fileName.toString()));
+                }
+            });
+            this.watcher.on('error', error => {
+                this.outputChannel.appendLine(`Log watcher error: ${error.message}`);
+                this.stop();
+            });
+            this.sessionDir = sessionDir;
+            this.outputChannel.appendLine(`👀 Watching Copilot logs in ${sessionDir}`);
+        } catch (error) {
+            this.outputChannel.appendLine(`Could not watch ${sessionDir}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue a changed file and (re)start the debounce timer, but never past
+     * maxWaitMs after the oldest queued change
+     */
+    schedule(filePath) {
+        const now = Date.now();
+        if (this.firstPendingAt === null) {
+            this.firstPendingAt = now;
+        }
+        this.pendingFiles.add(filePath);
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+        const delay = Math.max(0, Math.min(this.debounceMs, this.firstPendingAt + this.maxWaitMs - now));
+        this.debounceTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Collect all queued files; changes arriving meanwhile are picked up by a follow-up flush
+     */
+    async flush() {
+        this.debounceTimer = null;
+        if (this.flushing) {
+            this.debounceTimer = setTimeout(() => this.flush(), this.debounceMs);
+            return;
+        }
+
+        const files = [...this.pendingFiles];
+        this.pendingFiles.clear();
+        this.firstPendingAt = null;
+        if (files.length === 0 || !this.canCollect()) {
+            // Skipped changes are picked up by the next sweep
+            return;
+        }
+
+        this.flushing = true;
+        try {
+            const result = await this.logCollector.collectWatchedFiles(files);
+            if (result && this.onCollected) {
+                this.onCollected(result);
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`Watch-mode collection failed: ${error.message}`);
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Stop watching and drop anything queued
+     */
+    stop() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        this.pendingFiles.clear();
+        this.firstPendingAt = null;
+        this.sessionDir = null;
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
+
+module.exports = LogWatcher;
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./file-lock');
+const {
+    SCHEMA_VERSIONS,
+    getSchemaVersion,
+    stampDocument,
+    createMetricsDocument,
+    getMetricsEntries,
+    createEventsHeader
+} = require('./schema');
+const { getMetricKey, combineMetricEntries } = require('./saver');
+const { normalizeServedBy } = require('./redaction');
+
+/**
+ * Upgrades files written by older versions of the extension to the current
+ * schema (src/schema.js). Runs once at activation; each file is copied to
+ * backups/schema-v<N>/ next to it before it is rewritten.
+ */
+
+// MIGRATIONS[kind][n - 1] upgrades content from version n to n + 1
+const MIGRATIONS = {
+    metrics: [
+        // 1 → 2: bare array wrapped in a document with a metadata header
+        (content, file) => createMetricsDocument(dateFromFileName(file), getMetricsEntries(content)),
+        // 2 → 3: completions servedBy URL normalised to "<host>/<model>"
+        content => ({ ...content, metrics: normalizeMetricsServedBy(content.metrics) })
+    ],
+    events: [
+        // 1 → 2: header line in front of the events
+        (text, file) => JSON.stringify(createEventsHeader(dateFromFileName(file))) + '\n' + text,
+        // 2 → 3: same servedBy normalisation as metrics
+        (text, file) => normalizeEventsServedBy(text, file)
+    ],
+    collectionState: [
+        // 1 → 2: schemaVersion and metadata header
+        content => stampDocument('collectionState', content)
+    ],
+    parsingState: [
+        content => stampDocument('parsingState', content)
+    ],
+    userConfig: [
+        content => stampDocument('userConfig', content)
+    ]
+};
+
+/**
+ * Normalise each entry's servedBy and add up entries that now share a key
+ */
+function normalizeMetricsServedBy(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const normalized = { ...entry, servedBy: normalizeServedBy(entry.servedBy) };
+        const key = getMetricKey(normalized);
+        groups.set(key, [...(groups.get(key) || []), normalized]);
+    }
+    return [...groups.values()].map(group => group.length === 1 ? group[0] : combineMetricEntries(group));
+}
+
+/**
+ * Rewrite an events file with a current header and normalised servedBy
+ * values; lines that aren't valid JSON are kept as they are
+ */
+function normalizeEventsServedBy(text, file) {
+    const lines = text.split('\n');
+    lines[0] = JSON.stringify(createEventsHeader(dateFromFileName(file)));
+    for (let i = 1; i < lines.length; i++) {
+        try {
+            const event = JSON.parse(lines[i]);
+            lines[i] = JSON.stringify({ ...event, servedBy: normalizeServedBy(event.servedBy) });
+        } catch {
+            // Blank or partially written line
+        }
+    }
+    return lines.join('\n');
+}
+
+function dateFromFileName(file) {
+    const match = /(\d{4}-\d{2}-\d{2})/.exec(path.basename(file));
+    return match ? match[1] : null;
+}
+
+/**
+ * Parsed content and schema version of a file. Events files are NDJSON and
+ * stay text; their version is in the header line.
+ */
+function readVersioned(kind, file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (kind !== 'events') {
+        const content = JSON.parse(text);
+        return { content, version: getSchemaVersion(content) };
+    }
+
+    const firstLine = text.substring(0, text.indexOf('\n') >= 0 ? text.indexOf('\n') : text.length);
+    let header = null;
+    try {
+        header = JSON.parse(firstLine);
+    } catch {
+        // Partially written first line
+    }
+    const version = header && header.id === undefined ? getSchemaVersion(header) : 1;
+    return { content: text, version };
+}
+
+/**
+ * Copy a file to backups/schema-v<version>/ next to it, keeping an existing
+ * backup (the original is the one worth keeping)
+ */
+function backupFile(file, version) {
+    const backupDir = path.join(path.dirname(file), 'backups', `schema-v${version}`);
+    const backupFile = path.join(backupDir, path.basename(file));
+    if (!fs.existsSync(backupFile)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+        fs.copyFileSync(file, backupFile);
+    }
+    return backupFile;
+}
+
+/**
+ * Upgrade one file in place. Returns 'migrated', 'current' or 'newer'
+ * (written by a newer version of the extension; left untouched).
+ */
+function migrateFile(kind, file) {
+    const { content, version } = readVersioned(kind, file);
+    const target = SCHEMA_VERSIONS[kind];
+    if (version === target) {
+        return 'current';
+    }
+    if (version > target) {
+        return 'newer';
+    }
+
+    backupFile(file, version);
+    let migrated = content;
+    for (let from = version; from < target; from++) {
+        migrated = MIGRATIONS[kind][from - 1](migrated, file);
+        if (kind !== 'events') {
+            migrated.schemaVersion = from + 1;
+        }
+    }
+    writeFileAtomic(file, kind === 'events' ? migrated : JSON.stringify(migrated, null, 2));
+    return 'migrated';
+}
+
+/**
+ * Every persisted file with its kind: the state and config in global storage,
+ * their copies in the logs directory, and the metrics and events files
+ */
+function listPersistedFiles(stateStorageDir, logsDir) {
+    const files = [];
+    for (const dir of [stateStorageDir, logsDir]) {
+        files.push(
+            { kind: 'collectionState', file: path.join(dir, 'collection-state.json') },
+            { kind: 'parsingState', file: path.join(dir, 'parsing_state.json') },
+            { kind: 'userConfig', file: path.join(dir, 'user_config.json') }
+        );
+    }
+
+    const listDir = (dir, pattern, kind) => {
+        if (fs.existsSync(dir)) {
+            for (const fileName of fs.readdirSync(dir)) {
+                if (pattern.test(fileName)) {
+                    files.push({ kind, file: path.join(dir, fileName) });
+                }
+            }
+        }
+    };
+    listDir(path.join(logsDir, 'metrics'), /^metrics_\d{4}-\d{2}-\d{2}\.json$/, 'metrics');
+    listDir(path.join(logsDir, 'events'), /^events_\d{4}-\d{2}-\d{2}\.ndjson$/, 'events');
+
+    return files.filter(entry => fs.existsSync(entry.file));
+}
+
+/**
+ * Upgrade all persisted files to the current schema. A file that can't be
+ * read is left alone (the health check deals with corrupted metrics).
+ * Returns { migrated, failed, newer } counts.
+ */
+function migratePersistedFiles(stateStorageDir, logsDir, outputChannel) {
+    const summary = { migrated: 0, failed: 0, newer: 0 };
+
+    for (const { kind, file } of listPersistedFiles(stateStorageDir, logsDir)) {
+        try {
+            const result = migrateFile(kind, file);
+            if (result === 'migrated') {
+                summary.migrated++;
+            } else if (result === 'newer') {
+                summary.newer++;
+                outputChannel.appendLine(`⚠️ ${path.basename(file)} was written by a newer version of the extension; leaving it unchanged`);
+            }
+        } catch (error) {
+            summary.failed++;
+            outputChannel.appendLine(`Could not migrate ${path.basename(file)}: ${error.message}`);
+        }
+    }
+
+    if (summary.migrated > 0) {
+        outputChannel.appendLine(`📦 Upgraded ${summary.migrated} file(s) to the current format (originals in backups/)`);
+    }
+    return summary;
+}
+
+module.exports = {
+    migrateFile,
+    migratePersistedFiles
+};
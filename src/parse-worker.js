@@ -0,0 +1,81 @@
+// This module also runs as a worker thread, which has no VS Code API. The
+// modules it loads (parser, parser-rules, dates, helpers, redaction, ...)
+// therefore only require 'vscode' inside the functions that need it, and
+// the worker gets everything those would read from settings via its options.
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const CopilotParser = require('./parser');
+const { forEachNewLine } = require('./log-reader');
+
+/**
+ * Parse the new part of each log file, streaming it line by line from the
+ * job's byte offset. Returns one result per job: { file, end, records }, or
+ * { file, error } when the file could not be read.
+ *
+ * A job is { file, offset, includePartialLine, sourceId, session, product };
+ * options are { rules, timeZone, redaction, userName, company, team }.
+ */
+function parseSegments(jobs, options) {
+    const parser = new CopilotParser(options.rules, options.timeZone, options.redaction);
+
+    return jobs.map(job => {
+        try {
+            const rules = parser.getRulesForFile(job.file);
+            const segment = { file: job.sourceId, start: job.offset, end: job.offset };
+            const records = [];
+
+            segment.end = forEachNewLine(job.file, job.offset, job.includePartialLine, (line, lineOffset) => {
+                const record = parser.parseLine(line, rules, options.userName, options.company, options.team);
+                if (record) {
+                    record.segment = segment;
+                    record.offset = lineOffset;
+                    record.session = job.session;
+                    record.product = job.product;
+                    records.push(record);
+                }
+            });
+
+            return { file: job.file, end: segment.end, records };
+        } catch (error) {
+            return { file: job.file, error: error.message };
+        }
+    });
+}
+
+/**
+ * Run parseSegments on a worker thread so large logs never block the
+ * extension host. Rejects when the worker cannot start or fails; callers
+ * fall back to parseSegments in-process.
+ */
+function parseSegmentsInWorker(jobs, options) {
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(__filename, { workerData: { jobs, options } });
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        let settled = false;
+        worker.once('message', results => {
+            settled = true;
+            resolve(results);
+        });
+        worker.once('error', error => {
+            settled = true;
+            reject(error);
+        });
+        worker.once('exit', code => {
+            if (!settled) {
+                reject(new Error(`parse worker exited with code ${code}`));
+            }
+        });
+    });
+}
+
+// Entry point when started by parseSegmentsInWorker
+if (!isMainThread && workerData && Array.isArray(workerData.jobs)) {
+    parentPort.postMessage(parseSegments(workerData.jobs, workerData.options));
+}
+
+module.exports = { parseSegments, parseSegmentsInWorker };
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { getPersistedLogsDirectory } = require('./helpers');
+
+const RULES_FILE_NAME = 'parser-rules.json';
+
+/**
+ * Built-in rules for the log formats Copilot currently writes.
+ *
+ * A rule has:
+ * - id: unique name; a user rule with the same id replaces the built-in one
+ * - fileMatch: regex tested against the log file name
+ * - pattern: regex with named groups, tested against each line
+ * - flags: optional regex flags for pattern; "g" and "y" are rejected since
+ *   they make matching depend on the previous line
+ * - fields: record field -> "$group" (named group value) or a literal;
+ *   date, source, served_by and action are required, timestamp, request_id,
+ *   response_time, status and outcome are optional
+ * - statusKind: how `status` maps to an outcome ("http", "chat" or "event")
+ */
+const BUILT_IN_RULES = [
+    {
+        // 2025-09-04 23:02:52.279 [info] [fetchCompletions] Request ... at https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions finished with 200 status after 227.30137500003912ms
+        id: 'copilot-completion',
+        fileMatch: 'GitHub Copilot(?! Chat)',
+        pattern: '^(?<timestamp>(?<date>\\d{4}-\\d{2}-\\d{2})[ T][0-9:.]+).*?(?: Request (?<request_id>\\S+))? at <?(?<served_by>https:\\/\\/[^ >]+)>? finished with (?<status>\\d{3}) status after (?<duration>[0-9.]+)ms',
+        fields: {
+            date: '$date',
+            timestamp: '$timestamp',
+            request_id: '$request_id',
+            source: 'copilot',
+            served_by: '$served_by',
+            action: 'completion',
+            response_time: '$duration',
+            status: '$status'
+        },
+        statusKind: 'http'
+    },
+    {
+        // 2025-09-04 23:05:10.112 [info] [fetchCompletions] Request ... at https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions was cancelled after 12ms
+        id: 'copilot-completion-error',
+        fileMatch: 'GitHub Copilot(?! Chat)',
+        pattern: '^(?<timestamp>(?<date>\\d{4}-\\d{2}-\\d{2})[ T][0-9:.]+).*?(?: Request (?<request_id>\\S+))? at <?(?<served_by>https:\\/\\/[^ >]+)>? (?<event>failed|errored|timed out|was cancell?ed|cancell?ed)(?:.*? after (?<duration>[0-9.]+)ms)?',
+        fields: {
+            date: '$date',
+            timestamp: '$timestamp',
+            request_id: '$request_id',
+            source: 'copilot',
+            served_by: '$served_by',
+            action: 'completion',
+            response_time: '$duration',
+            status: '$event'
+        },
+        statusKind: 'event'
+    },
+    {
+        // 2025-09-03 16:41:26.178 [info] ccreq:ab70e0b0.copilotmd | success | gpt-4.1 | 7006ms | [panel/unknown]
+        id: 'copilot-chat',
+        fileMatch: 'GitHub Copilot Chat',
+        pattern: '^(?<timestamp>(?<date>\\d{4}-\\d{2}-\\d{2})[ T][0-9:.]+).*ccreq:(?<request_id>[^\\s|.]+)[^\\s|]*copilotmd \\| (?<status>[^|]+?) \\| (?<served_by>[^|]+?) \\| (?<duration>[^|]*?) \\| (?<action>[^|]+?)\\s*(?:\\||$)',
+        fields: {
+            date: '$date',
+            timestamp: '$timestamp',
+            request_id: '$request_id',
+            source: 'copilot-chat',
+            served_by: '$served_by',
+            action: '$action',
+            response_time: '$duration',
+            status: '$status'
+        },
+        statusKind: 'chat'
+    }
+];
+
+/**
+ * Map an HTTP status code from a completion request to an outcome
+ */
+function classifyHttpStatus(code) {
+    if (code >= 200 && code < 300) return 'success';
+    if (code === 429) return 'rateLimited';
+    if (code === 408 || code === 504) return 'timeout';
+    if (code === 499) return 'cancelled';
+    return 'failed';
+}
+
+/**
+ * Map a Copilot Chat response status (e.g. "success", "rateLimited") to an outcome
+ */
+function classifyChatStatus(status) {
+    const normalized = status.toLowerCase();
+    if (normalized === 'success') return 'success';
+    if (normalized === 'canceled' || normalized === 'cancelled') return 'cancelled';
+    if (normalized === 'ratelimited' || normalized === 'quotaexceeded') return 'rateLimited';
+    if (normalized.includes('filtered') || normalized === 'offtopic') return 'filtered';
+    if (normalized.includes('timeout') || normalized.includes('timedout')) return 'timeout';
+    return 'failed';
+}
+
+/**
+ * Map a request event (e.g. "timed out", "was cancelled") to an outcome
+ */
+function classifyEvent(event) {
+    const normalized = event.toLowerCase();
+    if (normalized.includes('timed out') || normalized.includes('timeout')) return 'timeout';
+    if (normalized.includes('cancel')) return 'cancelled';
+    return 'failed';
+}
+
+/**
+ * Map a raw status to an outcome according to the rule's statusKind
+ */
+function classifyStatus(status, statusKind) {
+    if (status === null || status === undefined || status === '') return 'success';
+    if (statusKind === 'http') return classifyHttpStatus(parseInt(status, 10));
+    if (statusKind === 'event') return classifyEvent(status);
+    return classifyChatStatus(status);
+}
+
+/**
+ * Compile a rule's regexes. Returns null (and logs) for an invalid rule.
+ */
+function compileRule(rule, outputChannel = null) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.warn(message);
+
+    if (!rule || typeof rule !== 'object' || !rule.id || !rule.pattern || !rule.fields) {
+        log(`Skipping parser rule ${rule && rule.id ? rule.id : '(unnamed)'}: id, pattern and fields are required`);
+        return null;
+    }
+
+    if (/[gy]/.test(rule.flags || '')) {
+        log(`Skipping parser rule ${rule.id}: the "g" and "y" flags are not supported`);
+        return null;
+    }
+
+    try {
+        return {
+            ...rule,
+            fileRegex: new RegExp(rule.fileMatch || '.*', 'i'),
+            lineRegex: new RegExp(rule.pattern, rule.flags || '')
+        };
+    } catch (error) {
+        log(`Skipping parser rule ${rule.id}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Read user rules from the logs directory file, if present.
+ * Accepts either an array of rules or { "rules": [...] }.
+ */
+function loadRulesFile(userConfig, outputChannel) {
+    const rulesFile = path.join(getPersistedLogsDirectory(userConfig), RULES_FILE_NAME);
+    if (!fs.existsSync(rulesFile)) {
+        return [];
+    }
+
+    try {
+        const content = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+        const rules = Array.isArray(content) ? content : content.rules;
+        return Array.isArray(rules) ? rules : [];
+    } catch (error) {
+        outputChannel.appendLine(`Error reading ${RULES_FILE_NAME}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Build the active rule list: user rules (setting, then file) before built-ins.
+ * A user rule replaces a built-in rule with the same id, and
+ * { "id": "...", "disabled": true } turns a rule off.
+ */
+function loadParserRules(userConfig = null, outputChannel = null) {
+    const channel = outputChannel || { appendLine: (message) => console.warn(message) };
+    const config = require('vscode').workspace.getConfiguration('avocado-copilot-logger');
+    const settingRules = config.get('parserRules') || [];
+    const userRules = [...(Array.isArray(settingRules) ? settingRules : []), ...loadRulesFile(userConfig, channel)];
+
+    const byId = new Map();
+    for (const rule of [...userRules, ...BUILT_IN_RULES]) {
+        if (rule && rule.id && !byId.has(rule.id)) {
+            byId.set(rule.id, rule);
+        }
+    }
+
+    const rules = [];
+    for (const rule of byId.values()) {
+        if (rule.disabled) continue;
+        const compiled = compileRule(rule, channel);
+        if (compiled) {
+            rules.push(compiled);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Compile the built-in rules only (no settings or files involved)
+ */
+function getBuiltInRules() {
+    return BUILT_IN_RULES.map(rule => compileRule(rule));
+}
+
+module.exports = {
+    RULES_FILE_NAME,
+    BUILT_IN_RULES,
+    classifyStatus,
+    compileRule,
+    loadParserRules,
+    getBuiltInRules
+};
@@ -1,33 +1,46 @@
-const fs = require("fs")
 const path = require("path")
+const { createLatencyStats, addLatencySample, summarizeLatency } = require("./latency")
+const { getBuiltInRules, classifyStatus } = require("./parser-rules")
+const { getConfiguredTimeZone, resolveTimeZoneName, parseLogTime, formatDateKey, formatHourKey } = require("./dates")
+const { DEFAULT_PRODUCT } = require("./helpers")
+const { getRedactionRules, redactRecord } = require("./redaction")
+const { forEachNewLine } = require("./log-reader")
+
+/**
+ * Outcome buckets used in records and aggregated metrics
+ */
+const OUTCOMES = ['success', 'failed', 'cancelled', 'rateLimited', 'filtered', 'timeout'];
 
 class CopilotParser {
-    constructor() {
-        this.COPILOT_RE = /^(?<date>\d{4}-\d{2}-\d{2}).* at <?(?<served_by>https:\/\/[^ >]+)>? finished with 200 status after (?<duration>[0-9.]+)ms/;
+    /**
+     * @param {Array} rules compiled parser rules (see parser-rules.js); defaults to the built-in ones
+     * @param {string} timeZone zone records are bucketed into by day and hour ("local", "UTC" or IANA); defaults to the timeZone setting
+     * @param {Object} redaction redaction rules applied to every record (see redaction.js); defaults to the redaction settings
+     */
+    constructor(rules = null, timeZone = null, redaction = null) {
+        this.rules = rules || getBuiltInRules();
+        this.timeZone = timeZone || getConfiguredTimeZone();
+        this.timeZoneName = resolveTimeZoneName(this.timeZone);
+        this.redaction = redaction || getRedactionRules();
     }
 
     /**
      * Parse log files and collect CopilotLogEntry objects.
      */
-    parse(logFiles, ifChat, userName = "Unknown", company = "Unknown", team = "Unknown") {
+    parse(logFiles, userName = "Unknown", company = "Unknown", team = "Unknown") {
         const records = [];
 
         for (const logFile of logFiles){
             try {
-                const content = fs.readFileSync(logFile, {encoding:'utf-8', flag:'r'});
-                const lines = content.split("\n");
-
-                for (const line of lines) {
-                    let result;
-                    if (ifChat) {
-                        result = this.parseChatLine(line, userName, company, team);
-                    } else {
-                        result = this.parseCopilotLine(line, userName, company, team);
-                    }
+                const rules = this.getRulesForFile(logFile);
+
+                // Stream the file line by line instead of reading it whole
+                forEachNewLine(logFile, 0, true, (line) => {
+                    const result = this.parseLine(line, rules, userName, company, team);
                     if (result) {
                         records.push(result);
                     }
-                }
+                });
             } catch (e) {
                 console.log(`Error reading file ${logFile}: ${e.message}`);
                 continue
@@ -36,32 +49,81 @@ class CopilotParser {
         return records
     }
     /**
-     * Parse a single Copilot completion log line.
-     *
-     * Example:
-     * 2025-09-04 23:02:52.279 [info] [fetchCompletions] Request ... at https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions finished with 200 status after 227.30137500003912ms
+     * Rules whose file matcher accepts this log file
      */
-    parseCopilotLine(line, userName = "Unknown", company = "Unknown", team = "Unknown"){
-        const match = this.COPILOT_RE.exec(line);
-        if (!match) {
-            return null
+    getRulesForFile(filePath) {
+        const fileName = path.basename(filePath);
+        return this.rules.filter(rule => rule.fileRegex.test(fileName));
+    }
+    /**
+     * Parse a single line with the first matching rule
+     */
+    parseLine(line, rules = this.rules, userName = "Unknown", company = "Unknown", team = "Unknown") {
+        for (const rule of rules) {
+            const match = rule.lineRegex.exec(line);
+            if (match) {
+                return this.buildRecord(rule, match, userName, company, team);
+            }
         }
+        return null;
+    }
+    /**
+     * Build a record from a rule's field mapping ("$group" or literal values)
+     */
+    buildRecord(rule, match, userName, company, team) {
+        const groups = match.groups || {};
+        const fields = {};
+        for (const [field, mapping] of Object.entries(rule.fields)) {
+            fields[field] = typeof mapping === 'string' && mapping.startsWith('$')
+                ? groups[mapping.substring(1)]
+                : mapping;
+        }
+
+        if (!fields.date || !fields.source || !fields.served_by || !fields.action) {
+            return null;
+        }
+
         try {
-            return {
-                date: match.groups.date,
-                source: 'copilot',
-                served_by: match.groups.served_by,
-                action: "completion",
-                response_time: parseFloat(match.groups.duration),
+            const status = fields.status !== undefined && fields.status !== null ? String(fields.status).trim() : null;
+            const durationMatch = fields.response_time !== undefined && fields.response_time !== null
+                ? /([0-9.]+)/.exec(String(fields.response_time))
+                : null;
+            // Bucket by the configured zone; the literal date prefix is only a fallback
+            const instant = fields.timestamp ? parseLogTime(fields.timestamp) : null;
+
+            // Records never carry raw URLs, paths or ids past this point
+            return redactRecord({
+                date: instant ? formatDateKey(instant, this.timeZone) : String(fields.date),
+                hour: instant ? formatHourKey(instant, this.timeZone) : null,
+                time_zone: this.timeZoneName,
+                timestamp: fields.timestamp ? String(fields.timestamp) : null,
+                request_id: fields.request_id ? String(fields.request_id) : null,
+                source: String(fields.source),
+                served_by: String(fields.served_by).trim(),
+                action: String(fields.action).trim(),
+                response_time: durationMatch ? parseFloat(durationMatch[1]) : null,
+                status: status,
+                status_code: status && /^\d{3}$/.test(status) ? parseInt(status, 10) : null,
+                outcome: fields.outcome || classifyStatus(status, rule.statusKind),
+                rule: rule.id,
                 name: userName,
                 company: company,
                 team: team
-            }
+            }, this.redaction);
         } catch (e) {
-            console.log(`Error creating CopilotLogEntry: ${e.message}`)
-            return null
+            console.log(`Error creating CopilotLogEntry: ${e.message}`);
+            return null;
         }
     }
+    /**
+     * Parse a single Copilot completion log line.
+     *
+     * Example:
+     * 2025-09-04 23:02:52.279 [info] [fetchCompletions] Request ... at https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions finished with 200 status after 227.30137500003912ms
+     */
+    parseCopilotLine(line, userName = "Unknown", company = "Unknown", team = "Unknown"){
+        return this.parseLine(line, this.getRulesForFile('GitHub Copilot.log'), userName, company, team);
+    }
     /**
      * Parse a single Copilot Chat log line.
      *
@@ -69,61 +131,73 @@ class CopilotParser {
      * 2025-09-03 16:41:26.178 [info] ccreq:ab70e0b0.copilotmd | success | gpt-4.1 | 7006ms | [panel/unknown]
      */
     parseChatLine(line, userName = "Unknown", company = "Unknown", team = "Unknown"){
-        if (!line.includes("copilotmd | success")) {
-            return null
-        }
-
-        const matchDate = /^(\d{4}-\d{2}-\d{2})/.exec(line);
-        if (!matchDate){
-            return null
-        }
-        const date = matchDate[1];
-
-        const parts = line.split("|").map(p => p.trim());
-        const idx = parts.indexOf("success");
+        return this.parseLine(line, this.getRulesForFile('GitHub Copilot Chat.log'), userName, company, team);
+    }
+    /**
+     * Outcome counters with every known outcome present
+     */
+    static emptyOutcomes() {
+        return Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+    }
 
-        if (idx === -1) {
-            return null;
+    /**
+     * Count a record's outcome and status code into a totals object.
+     * Latency is only sampled from successful requests, so quick 429s or
+     * cancellations don't make a model look faster than it is.
+     */
+    static countOutcome(totals, rec) {
+        const outcome = rec.outcome || 'success';
+        totals.outcomes[outcome] = (totals.outcomes[outcome] || 0) + 1;
+        if (rec.status_code !== null && rec.status_code !== undefined) {
+            const code = String(rec.status_code);
+            totals.statusCodes[code] = (totals.statusCodes[code] || 0) + 1;
         }
-
-        if (idx + 3 >= parts.length) {
-            return null;
+        if (outcome === 'success') {
+            addLatencySample(totals.latency, rec.response_time);
         }
-       // Next tokens: served_by, response_time, action
-        const servedBy = parts[idx + 1];
-        const responseTime = parts[idx + 2];
-        const action = parts[idx + 3];
-
-        // Clean response_time from "ms"
-        const matchTime = /(\d+)/.exec(responseTime);
+    }
 
-        if (!matchTime) {
-            return null;
+    /**
+     * Count a record into the optional breakdowns present on a totals object:
+     * byHour (hour of day in the record's zone, "00"-"23") and sessions
+     * (VS Code session folder, YYYYMMDDTHHMMSS)
+     */
+    static countDimensions(totals, rec) {
+        if (totals.byHour) {
+            const hourMatch = /^\d{4}-\d{2}-\d{2}[ T](\d{2})/.exec(rec.timestamp || '');
+            const hour = rec.hour || (hourMatch ? hourMatch[1] : 'unknown');
+            totals.byHour[hour] = (totals.byHour[hour] || 0) + 1;
         }
-        try {
-            return {
-                date: date,
-                source: "copilot-chat",
-                served_by: servedBy,
-                action: action,
-                response_time: parseFloat(matchTime[1]),
-                name: userName,
-                company: company,
-                team: team
-            };
-        } catch (e) {
-            console.log(`Error creating CopilotLogEntry: ${e.message}`);
-            return null;
+        if (totals.sessions) {
+            const session = rec.session || 'unknown';
+            totals.sessions[session] = (totals.sessions[session] || 0) + 1;
         }
+    }
 
+    /**
+     * Empty counters for the requested breakdown dimensions ("hour", "session")
+     */
+    static emptyDimensions(dimensions) {
+        const counters = {};
+        if (dimensions.includes('hour')) counters.byHour = {};
+        if (dimensions.includes('session')) counters.sessions = {};
+        return counters;
     }
+
     /**
-     * Group records by date, source, served_by and action
+     * Group records by date, source, served_by, action and product (the
+     * editor that wrote the log, e.g. "Visual Studio Code - Insiders").
+     * Response times are folded into mergeable latency stats per group.
+     * Records carrying a `segment` (source file id and byte range they were
+     * read from) are also tallied per segment, so saveMetricsToJSON can merge
+     * batches additively without double counting a re-parsed range.
+     * Optional dimensions ("hour", "session") add per-entry breakdowns.
      */
-    static aggregate(records){
+    static aggregate(records, dimensions = []){
         const totals = {};
         for (const rec of records) {
-            const key = `${rec.date}|${rec.source}|${rec.served_by}|${rec.action}`;
+            const product = rec.product || DEFAULT_PRODUCT;
+            const key = `${rec.date}|${rec.source}|${rec.served_by}|${rec.action}|${product}`;
             if (!totals[key]) {
                 totals[key] = {
                     numRequests: 0,
@@ -131,33 +205,74 @@ class CopilotParser {
                     company: "",
                     team: "",
                     date: rec.date,
+                    timeZone: rec.time_zone || null,
                     source: rec.source,
                     servedBy: rec.served_by,
-                    action: rec.action
+                    action: rec.action,
+                    product: product,
+                    latency: createLatencyStats(),
+                    outcomes: CopilotParser.emptyOutcomes(),
+                    statusCodes: {},
+                    ...CopilotParser.emptyDimensions(dimensions),
+                    contributions: {}
                 };
             }
             totals[key].numRequests += 1;
+            CopilotParser.countOutcome(totals[key], rec);
+            CopilotParser.countDimensions(totals[key], rec);
             totals[key].name = rec.name;
             totals[key].company = rec.company;
             totals[key].team = rec.team;
+
+            if (rec.segment) {
+                const segmentKey = `${rec.segment.file}|${rec.segment.start}|${rec.segment.end}`;
+                if (!totals[key].contributions[segmentKey]) {
+                    totals[key].contributions[segmentKey] = {
+                        file: rec.segment.file,
+                        start: rec.segment.start,
+                        end: rec.segment.end,
+                        numRequests: 0,
+                        latency: createLatencyStats(),
+                        outcomes: CopilotParser.emptyOutcomes(),
+                        statusCodes: {},
+                        ...CopilotParser.emptyDimensions(dimensions)
+                    };
+                }
+                const contribution = totals[key].contributions[segmentKey];
+                contribution.numRequests += 1;
+                CopilotParser.countOutcome(contribution, rec);
+                CopilotParser.countDimensions(contribution, rec);
+            }
         }
         const grouped = {};
 
         for (const [key, value] of Object.entries(totals)) {
             grouped[key] = {
                 date: value.date,
+                timeZone: value.timeZone,
                 source: value.source,
                 servedBy: value.servedBy,
                 action: value.action,
                 numRequests: value.numRequests,
+                outcomes: value.outcomes,
+                statusCodes: value.statusCodes,
+                latency: summarizeLatency(value.latency),
+                ...(value.byHour ? { byHour: value.byHour } : {}),
+                ...(value.sessions ? { sessions: value.sessions } : {}),
                 name: value.name,
                 team: value.team,
                 company: value.company,
-                ide: "Visual Studio Code"
+                ide: value.product,
+                contributions: Object.values(value.contributions).map(c => ({
+                    ...c,
+                    latency: summarizeLatency(c.latency)
+                }))
             };
         }
         return grouped;
     }
 }
 
+CopilotParser.OUTCOMES = OUTCOMES;
+
 module.exports = CopilotParser;
\ No newline at end of file
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+/**
+ * What the redaction pipeline does with each kind of value before anything
+ * is written to disk: "keep" it, "hash" it (a short SHA-256, so equal values
+ * can still be grouped) or "strip" it.
+ */
+const DEFAULT_REDACTION = {
+    urls: 'hash',
+    filePaths: 'hash',
+    emails: 'strip',
+    ids: 'hash'
+};
+
+// Copilot's own service endpoints: kept (without credentials, query or
+// fragment) so archived raw logs can still be parsed and restored
+const DEFAULT_KEEP_HOSTS = ['githubcopilot.com'];
+
+const MODES = ['keep', 'hash', 'strip'];
+
+// Applied in this order: a URL is handled as a whole, including emails or
+// paths in it
+const PATTERNS = {
+    urls: /\b[A-Za-z][A-Za-z0-9+.-]*:\/\/[^\s<>"'|]+/g,
+    emails: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    // Absolute POSIX or home-relative paths with at least one folder, and Windows drive paths
+    filePaths: /(?<![\w.:/~-])(?:~(?:\/[\w.@-]+)+|(?:\/[\w.@-]+){2,})\/?|\b[A-Za-z]:\\(?:[^\\\s:*?"<>|]+\\)*[^\\\s:*?"<>|]*/g,
+    // UUIDs and long hex tokens (request and session ids)
+    ids: /\b(?:[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}|[0-9a-fA-F]{16,})\b/g
+};
+
+/**
+ * Redaction rules from the settings: { urls, filePaths, emails, ids, keepHosts }.
+ * Plain data, so it can be handed to the parse worker.
+ */
+function getRedactionRules() {
+    const config = require('vscode').workspace.getConfiguration('avocado-copilot-logger');
+    return normalizeRedactionRules({
+        ...(config.get('redaction') || {}),
+        keepHosts: config.get('redactionKeepHosts', DEFAULT_KEEP_HOSTS)
+    });
+}
+
+/**
+ * Fill in defaults and drop unknown modes
+ */
+function normalizeRedactionRules(rules = {}) {
+    const normalized = {};
+    for (const [kind, defaultMode] of Object.entries(DEFAULT_REDACTION)) {
+        normalized[kind] = MODES.includes(rules[kind]) ? rules[kind] : defaultMode;
+    }
+    normalized.keepHosts = Array.isArray(rules.keepHosts)
+        ? rules.keepHosts.filter(host => typeof host === 'string' && host).map(host => host.toLowerCase())
+        : DEFAULT_KEEP_HOSTS;
+    return normalized;
+}
+
+/**
+ * Short stable hash of a value
+ */
+function hashValue(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 12);
+}
+
+/**
+ * Replacement for a value according to its kind's mode
+ */
+function replaceValue(kind, value, mode) {
+    if (mode === 'keep') return value;
+    return mode === 'hash' ? `<${kind}:${hashValue(value)}>` : `<${kind}>`;
+}
+
+function isKeptHost(host, keepHosts) {
+    const normalized = host.toLowerCase();
+    return keepHosts.some(keep => normalized === keep || normalized.endsWith(`.${keep}`));
+}
+
+/**
+ * A URL on a kept host loses its credentials, query string and fragment;
+ * any other URL is redacted as a whole
+ */
+function redactUrl(value, rules) {
+    try {
+        const url = new URL(value);
+        if (url.host && isKeptHost(url.hostname, rules.keepHosts)) {
+            return `${url.protocol}//${url.host}${url.pathname}`;
+        }
+    } catch {
+        // Not a parseable URL: redact it as it is
+    }
+    return replaceValue('url', value, rules.urls);
+}
+
+/**
+ * Redact emails, URLs, file paths and ids in free text (raw log content,
+ * parsed fields)
+ */
+function redactText(text, rules = getRedactionRules()) {
+    if (typeof text !== 'string' || !text) {
+        return text;
+    }
+    let result = text.replace(PATTERNS.urls, match => redactUrl(match, rules));
+    if (rules.emails !== 'keep') {
+        result = result.replace(PATTERNS.emails, match => replaceValue('email', match, rules.emails));
+    }
+    if (rules.filePaths !== 'keep') {
+        result = result.replace(PATTERNS.filePaths, match => replaceValue('path', match, rules.filePaths));
+    }
+    if (rules.ids !== 'keep') {
+        result = result.replace(PATTERNS.ids, match => replaceValue('id', match, rules.ids));
+    }
+    return result;
+}
+
+/**
+ * Redact every string value of JSON data; numbers, booleans and object keys
+ * are left as they are. With options.keys, keys are redacted too (state
+ * keyed by log file path).
+ */
+function redactJson(data, rules = getRedactionRules(), options = {}) {
+    if (typeof data === 'string') {
+        return redactText(data, rules);
+    }
+    if (Array.isArray(data)) {
+        return data.map(item => redactJson(item, rules, options));
+    }
+    if (data && typeof data === 'object') {
+        return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+            options.keys ? redactText(key, rules) : key,
+            redactJson(value, rules, options)
+        ]));
+    }
+    return data;
+}
+
+/**
+ * Normalise a completions endpoint URL to "<host>/<model>", e.g.
+ * https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions
+ * becomes "proxy.business.githubcopilot.com/gpt-41-copilot". Other values
+ * (chat model names) are returned unchanged.
+ */
+function normalizeServedBy(value) {
+    if (typeof value !== 'string' || !/^https?:\/\//i.test(value.trim())) {
+        return value;
+    }
+    try {
+        const url = new URL(value.trim());
+        const segments = url.pathname.split('/').filter(Boolean);
+        const modelIndex = segments.findIndex(segment => segment === 'engines' || segment === 'models');
+        const model = modelIndex >= 0 ? segments[modelIndex + 1] : null;
+        return model ? `${url.host}/${decodeURIComponent(model)}` : url.host;
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Redact the free-form fields of a parsed record: served_by is normalised,
+ * the request id follows the ids rule as a whole and the action goes
+ * through the text rules
+ */
+function redactRecord(record, rules = getRedactionRules()) {
+    const servedBy = normalizeServedBy(record.served_by);
+    let requestId = record.request_id;
+    if (requestId && rules.ids === 'hash') {
+        requestId = hashValue(requestId);
+    } else if (requestId && rules.ids === 'strip') {
+        requestId = null;
+    }
+
+    return {
+        ...record,
+        served_by: servedBy === record.served_by ? redactText(servedBy, rules) : servedBy,
+        request_id: requestId,
+        action: redactText(record.action, rules)
+    };
+}
+
+module.exports = {
+    DEFAULT_REDACTION,
+    DEFAULT_KEEP_HOSTS,
+    getRedactionRules,
+    normalizeRedactionRules,
+    redactText,
+    redactJson,
+    normalizeServedBy,
+    redactRecord
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const { getPersistedLogsDirectory, getSourceFileId, isCopilotLogFileName } = require('./helpers');
+const { ARCHIVE_MANIFEST_NAME, getMetricsDirectory, saveMetricsToJSON, parseRawLogPath } = require('./saver');
+const { readTarGzFile, verifyArchiveEntries } = require('./tar-reader');
+const { addDaysToKey, isDateKey, todayKey } = require('./dates');
+const CopilotParser = require('./parser');
+const { loadParserRules } = require('./parser-rules');
+
+const ARCHIVE_PATTERN = /^(\d{4}-\d{2}-\d{2})_copilot_logs\.tar\.gz$/;
+
+/**
+ * Daily archives in the logs directory: [{ date, file }] sorted by date
+ */
+function listArchives(userConfig) {
+    const logsDir = getPersistedLogsDirectory(userConfig);
+    return fs.readdirSync(logsDir)
+        .map(fileName => ({ match: ARCHIVE_PATTERN.exec(fileName), fileName }))
+        .filter(({ match }) => match)
+        .map(({ match, fileName }) => ({ date: match[1], file: path.join(logsDir, fileName) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Dates of an inclusive range that have no metrics file
+ */
+function findMissingMetricsDates(userConfig, fromDate, toDate) {
+    const metricsDir = getMetricsDirectory(userConfig);
+    const missing = new Set();
+    for (let date = fromDate; date <= toDate; date = addDaysToKey(date, 1)) {
+        if (!fs.existsSync(path.join(metricsDir, `metrics_${date}.json`))) {
+            missing.add(date);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Rebuild metrics for the days of an inclusive range that have no metrics
+ * file, from the raw logs in the daily archives. Days that still have
+ * metrics are left alone. Raw copies are counted under the source segments
+ * (source id and byte range) recorded in the manifest, with the product and
+ * session from their path, so a later parse of the same source log replaces
+ * them instead of counting them twice. Entries whose checksum doesn't match
+ * the archive manifest are skipped.
+ *
+ * Archives written before segments were recorded hold the lines copied on
+ * that day, which may be from earlier days, so every archive from fromDate
+ * on is read; a line already read from an earlier archive is not counted
+ * again.
+ *
+ * options: { dimensions, filterEntries } (breakdowns and a hook that drops
+ * aggregated entries, e.g. days past retention). Returns { restoredDates,
+ * skippedDates, records, archives, corrupted }.
+ */
+async function restoreMetricsFromArchives(userConfig, fromDate, toDate, outputChannel, options = {}) {
+    const missingDates = findMissingMetricsDates(userConfig, fromDate, toDate);
+    const result = { restoredDates: [], skippedDates: [], records: 0, archives: 0, corrupted: [] };
+    for (let date = fromDate; date <= toDate; date = addDaysToKey(date, 1)) {
+        if (!missingDates.has(date)) {
+            result.skippedDates.push(date);
+        }
+    }
+    if (missingDates.size === 0) {
+        return result;
+    }
+
+    const parser = new CopilotParser(loadParserRules(userConfig, outputChannel));
+    const userName = userConfig.userName || 'Unknown';
+    const companyName = userConfig.company || 'Unknown';
+    const teamName = userConfig.team || 'Unknown';
+    const seenLines = new Set();
+    const records = [];
+
+    for (const archive of listArchives(userConfig).filter(archive => archive.date >= fromDate)) {
+        let entries;
+        let verification;
+        try {
+            entries = readTarGzFile(archive.file);
+            verification = verifyArchiveEntries(entries, ARCHIVE_MANIFEST_NAME);
+        } catch (error) {
+            // An unreadable tarball or manifest: skip the whole archive
+            result.corrupted.push(path.basename(archive.file));
+            outputChannel.appendLine(`Could not read ${path.basename(archive.file)}: ${error.message}`);
+            continue;
+        }
+        result.archives++;
+        // Identical lines within one archive are separate requests
+        const archiveLines = new Set();
+
+        const { manifest, mismatched } = verification;
+        for (const name of mismatched) {
+            result.corrupted.push(`${path.basename(archive.file)}:${name}`);
+            outputChannel.appendLine(`⚠️ ${name} in ${path.basename(archive.file)} does not match its checksum; skipping it`);
+        }
+        const segmentsByName = new Map(((manifest && manifest.files) || [])
+            .filter(file => Array.isArray(file.segments))
+            .map(file => [file.name, file.segments]));
+
+        for (const entry of entries) {
+            const rules = parser.getRulesForFile(entry.name);
+            if (entry.type !== 'file' || mismatched.includes(entry.name) || rules.length === 0 || !isCopilotLogFileName(path.posix.basename(entry.name))) {
+                continue;
+            }
+
+            const rawPath = parseRawLogPath(entry.name);
+            const segments = segmentsByName.get(entry.name);
+            if (rawPath && segments) {
+                for (const segment of segments) {
+                    const sourceSegment = { file: segment.sourceId, start: segment.start, end: segment.end };
+                    const text = entry.content.toString('utf8', segment.offset, segment.offset + segment.length);
+                    for (const line of text.split('\n')) {
+                        const record = parser.parseLine(line, rules, userName, companyName, teamName);
+                        if (record && missingDates.has(record.date)) {
+                            record.segment = sourceSegment;
+                            record.session = rawPath.session;
+                            record.product = rawPath.product;
+                            records.push(record);
+                        }
+                    }
+                }
+                continue;
+            }
+
+            // Copied before segments were recorded: keyed by its place in the archive
+            const segment = {
+                file: getSourceFileId(path.join(archive.file, entry.name)),
+                start: 0,
+                end: entry.size
+            };
+            for (const line of entry.content.toString('utf8').split('\n')) {
+                if (seenLines.has(line)) {
+                    continue;
+                }
+                const record = parser.parseLine(line, rules, userName, companyName, teamName);
+                if (record && missingDates.has(record.date)) {
+                    archiveLines.add(line);
+                    record.segment = segment;
+                    records.push(record);
+                }
+            }
+        }
+        archiveLines.forEach(line => seenLines.add(line));
+    }
+
+    let aggregated = CopilotParser.aggregate(records, options.dimensions || []);
+    if (options.filterEntries) {
+        aggregated = options.filterEntries(aggregated);
+    }
+    const savedFiles = await saveMetricsToJSON(aggregated, userConfig);
+
+    result.records = records.length;
+    result.restoredDates = savedFiles.map(file => /metrics_(\d{4}-\d{2}-\d{2})\.json$/.exec(file)[1]).sort();
+    return result;
+}
+
+/**
+ * Recovery path: rebuild every day covered by the archives that has no
+ * metrics (after source logs were re-collected). Returns null without archives.
+ */
+async function restoreMissingMetricsFromArchives(logCollector, userConfig, outputChannel) {
+    const archives = listArchives(userConfig);
+    if (archives.length === 0) {
+        return null;
+    }
+    const result = await logCollector.runExclusive(() => restoreMetricsFromArchives(
+        userConfig, archives[0].date, todayKey(), outputChannel, {
+            dimensions: logCollector.getBreakdownDimensions(),
+            filterEntries: aggregated => logCollector.dropExpiredMetrics(aggregated)
+        }
+    ));
+    if (result && result.restoredDates.length > 0) {
+        outputChannel.appendLine(`♻️ Restored metrics for ${result.restoredDates.length} day(s) from archives: ${result.restoredDates.join(', ')}`);
+    }
+    return result;
+}
+
+/**
+ * Validate a YYYY-MM-DD input box value
+ */
+function validateDateInput(value) {
+    return isDateKey(value) ? null : 'Enter a date as YYYY-MM-DD';
+}
+
+/**
+ * Interactive restore: ask for a date range and rebuild its missing days
+ */
+async function promptAndRestoreFromArchives(configManager, logCollector, outputChannel) {
+    const userConfig = configManager.getConfig();
+    const archives = listArchives(userConfig);
+    if (archives.length === 0) {
+        vscode.window.showWarningMessage('No daily log archives found. Turn on "Copilot Logger › Raw Log Archive" to create them.');
+        return null;
+    }
+
+    const fromDate = await vscode.window.showInputBox({
+        prompt: 'Restore metrics from date (inclusive)',
+        value: archives[0].date,
+        validateInput: validateDateInput
+    });
+    if (!fromDate) return null;
+
+    const toDate = await vscode.window.showInputBox({
+        prompt: 'Restore metrics to date (inclusive)',
+        value: todayKey(),
+        validateInput: (value) => validateDateInput(value) || (value.trim() < fromDate.trim() ? 'End date must not be before the start date' : null)
+    });
+    if (!toDate) return null;
+
+    const result = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Restoring metrics from archives...',
+        cancellable: false
+    }, () => logCollector.runExclusive(() => restoreMetricsFromArchives(
+        userConfig, fromDate.trim(), toDate.trim(), outputChannel, {
+            dimensions: logCollector.getBreakdownDimensions(),
+            filterEntries: aggregated => logCollector.dropExpiredMetrics(aggregated)
+        }
+    )));
+
+    if (!result) {
+        vscode.window.showInformationMessage('Another VS Code window is collecting Copilot logs right now. Try again in a moment.');
+        return null;
+    }
+
+    outputChannel.appendLine(
+        `♻️ Restore ${fromDate.trim()} to ${toDate.trim()}: ${result.restoredDates.length} day(s) rebuilt from ${result.archives} archive(s) (${result.records} requests); ` +
+        `${result.skippedDates.length} day(s) already had metrics and were left unchanged`
+    );
+    if (result.corrupted.length > 0) {
+        outputChannel.appendLine(`   ⚠️ Skipped damaged archive content: ${result.corrupted.join(', ')}`);
+    }
+    vscode.window.showInformationMessage(
+        result.restoredDates.length > 0
+            ? `Restored metrics for ${result.restoredDates.length} day(s) from archives.`
+            : 'Nothing to restore: every day in the range already has metrics or no archived requests.'
+    );
+    return result;
+}
+
+module.exports = {
+    listArchives,
+    restoreMetricsFromArchives,
+    restoreMissingMetricsFromArchives,
+    promptAndRestoreFromArchives
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const { getPersistedLogsDirectory } = require('./helpers');
+const { todayKey, addDaysToKey } = require('./dates');
+
+/**
+ * Retention per data class. Each class lives in the logs directory and is
+ * keyed by the YYYY-MM-DD in its name; files dated before today minus the
+ * class's retention days are removed by the cleanup job (0 keeps forever).
+ */
+const DATA_CLASSES = {
+    metrics: {
+        label: 'metrics file(s)',
+        setting: 'metricsRetentionDays',
+        defaultDays: 0,
+        dir: logsDir => path.join(logsDir, 'metrics'),
+        pattern: /^metrics_(\d{4}-\d{2}-\d{2})\.json$/
+    },
+    events: {
+        label: 'event log file(s)',
+        setting: 'eventLogRetentionDays',
+        defaultDays: 30,
+        dir: logsDir => path.join(logsDir, 'events'),
+        pattern: /^events_(\d{4}-\d{2}-\d{2})\.ndjson$/
+    },
+    archives: {
+        label: 'archive(s)',
+        setting: 'archiveRetentionDays',
+        defaultDays: 0,
+        dir: logsDir => logsDir,
+        pattern: /^(\d{4}-\d{2}-\d{2})_copilot_logs\.tar\.gz$/
+    },
+    // Date folders of copied raw logs
+    rawLogs: {
+        label: 'raw log folder(s)',
+        setting: 'rawLogRetentionDays',
+        defaultDays: 0,
+        dir: logsDir => logsDir,
+        pattern: /^(\d{4}-\d{2}-\d{2})$/,
+        directories: true
+    }
+};
+
+/**
+ * Retention days per data class from the settings (0 keeps forever)
+ */
+function getRetentionSettings() {
+    const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+    const settings = {};
+    for (const [dataClass, definition] of Object.entries(DATA_CLASSES)) {
+        const days = Number(config.get(definition.setting, definition.defaultDays));
+        settings[dataClass] = Number.isFinite(days) && days > 0 ? Math.floor(days) : 0;
+    }
+    return settings;
+}
+
+/**
+ * First date still kept for a retention period, or null when everything is kept
+ */
+function getRetentionCutoff(retentionDays) {
+    return retentionDays > 0 ? addDaysToKey(todayKey(), -retentionDays) : null;
+}
+
+/**
+ * Whether data dated dateKey is past its retention period and must not be
+ * written again (e.g. when a recovery re-parses old source logs)
+ */
+function isExpired(dateKey, retentionDays) {
+    const cutoff = getRetentionCutoff(retentionDays);
+    return Boolean(cutoff && dateKey && dateKey < cutoff);
+}
+
+/**
+ * Remove one class's files dated before its cutoff. Returns the removed names.
+ */
+function removeExpired(dataClass, logsDir, retentionDays) {
+    const definition = DATA_CLASSES[dataClass];
+    const dir = definition.dir(logsDir);
+    const cutoff = getRetentionCutoff(retentionDays);
+    if (!cutoff || !fs.existsSync(dir)) {
+        return [];
+    }
+
+    const removed = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const match = definition.pattern.exec(entry.name);
+        if (!match || match[1] >= cutoff || entry.isDirectory() !== Boolean(definition.directories)) {
+            continue;
+        }
+        fs.rmSync(path.join(dir, entry.name), { recursive: true, force: true });
+        removed.push(entry.name);
+    }
+    return removed;
+}
+
+/**
+ * Apply every class's retention period, log what was removed and record it
+ * in the retention state, so the health check knows these deletions were
+ * intentional. Returns { [dataClass]: removed names }.
+ */
+function runRetentionCleanup(stateManager, userConfig, outputChannel, now = Date.now()) {
+    const logsDir = getPersistedLogsDirectory(userConfig);
+    const settings = getRetentionSettings();
+    const removed = {};
+
+    for (const dataClass of Object.keys(DATA_CLASSES)) {
+        try {
+            removed[dataClass] = removeExpired(dataClass, logsDir, settings[dataClass]);
+        } catch (error) {
+            removed[dataClass] = [];
+            outputChannel.appendLine(`Retention cleanup of ${dataClass} failed: ${error.message}`);
+        }
+        if (removed[dataClass].length > 0) {
+            outputChannel.appendLine(
+                `🗑️ Retention: removed ${removed[dataClass].length} ${DATA_CLASSES[dataClass].label} older than ${settings[dataClass]} days: ${removed[dataClass].join(', ')}`
+            );
+        }
+    }
+
+    const state = stateManager.loadRetentionState();
+    state.lastRunAt = now;
+    state.removedTotals = state.removedTotals || {};
+    state.lastRemovedAt = state.lastRemovedAt || {};
+    for (const [dataClass, names] of Object.entries(removed)) {
+        if (names.length > 0) {
+            state.removedTotals[dataClass] = (state.removedTotals[dataClass] || 0) + names.length;
+            state.lastRemovedAt[dataClass] = now;
+        }
+    }
+    stateManager.saveRetentionState(state);
+
+    return removed;
+}
+
+module.exports = {
+    DATA_CLASSES,
+    getRetentionSettings,
+    isExpired,
+    runRetentionCleanup
+};
@@ -4,65 +4,196 @@ const zlib = require('zlib');
 const crypto = require('crypto');
 const { promisify } = require('util');
 const gzip = promisify(zlib.gzip);
-const {getPersistedLogsDirectory} = require('./helpers')
+const {getPersistedLogsDirectory, DEFAULT_PRODUCT} = require('./helpers')
+const { mergeLatencyStats, summarizeLatency } = require('./latency')
+const { writeFileAtomic } = require('./file-lock')
+const { forEachNewLine } = require('./log-reader')
+const { formatDateKey } = require('./dates')
+const { getLineDateKey } = require('./organised')
+const { getRedactionRules, redactText } = require('./redaction')
+const { SCHEMA_VERSIONS, NewerSchemaError, getSchemaVersion, stampDocument, createMetricsDocument, getMetricsEntries, createEventsHeader } = require('./schema')
 
-async function saveToPersistentStorage(logsByDate, userConfig = null){
+// First entry of every daily archive: checksums of the files in it
+const ARCHIVE_MANIFEST_NAME = 'manifest.json'
+
+// Segments of a day's raw copies, folded into the archive manifest
+const RAW_SOURCES_NAME = 'sources.json'
+
+// Pending raw log text written out once it reaches this size
+const RAW_COPY_FLUSH_BYTES = 1024 * 1024
+
+// Session folder of raw copies from logs outside a VS Code session folder
+const NO_SESSION_FOLDER = 'no-session'
+
+/**
+ * Folder of a source log's raw copies inside a day folder,
+ * <product>/<session>, so logs of different windows are never mixed
+ */
+function getRawLogFolder(product, session) {
+    const safeName = value => String(value).replace(/[\\/:*?"<>|]/g, '_');
+    return path.posix.join(safeName(product || DEFAULT_PRODUCT), safeName(session || NO_SESSION_FOLDER));
+}
+
+/**
+ * Raw log capture: stream the lines of a source log after a byte offset and
+ * append each one, redacted, to <logsDir>/<day>/<product>/<session>/<log name>
+ * in the folder of the day its own timestamp falls on. A line without a
+ * timestamp (a stack trace, a wrapped message) goes with the line before it;
+ * at the start of a read, with the first timestamped line, or the file's
+ * modification day when there is none.
+ *
+ * Every run of copied lines is recorded in the day's sources.json with the
+ * source id and byte range it was read from (see recordRawLogSegments), so a
+ * restore from the archive counts it under the same segment as the parse.
+ *
+ * job is { file, offset, includePartialLine, sourceId, session, product,
+ * isExpired }; lines of days for which the optional isExpired(dateKey) is
+ * true are read past but not copied.
+ * Returns { end, lines: { [dateKey]: lines copied } }.
+ */
+function copyNewLogLines(job, userConfig = null) {
     const baseDir = getPersistedLogsDirectory(userConfig);
-    const stats = {};
-    
-    for (const [dateKey, logs] of Object.entries(logsByDate)) {
-        const dateDir = path.join(baseDir, dateKey);
-        stats[dateKey] = {};
-        
-        // Create date directory if it doesn't exist
-        if (!fs.existsSync(dateDir)) {
-            fs.mkdirSync(dateDir, { recursive: true });
+    const redaction = getRedactionRules();
+    const relativePath = path.posix.join(getRawLogFolder(job.product, job.session), path.basename(job.file));
+    const lines = {};
+    const copySizes = {};
+    const segments = {};
+    let pending = {};
+    let pendingBytes = 0;
+    let leading = [];
+    let leadingBytes = 0;
+    let currentDate = null;
+
+    const getTarget = dateKey => path.join(baseDir, dateKey, ...relativePath.split('/'));
+    const flush = () => {
+        for (const [dateKey, text] of Object.entries(pending)) {
+            const target = getTarget(dateKey);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.appendFileSync(target, text, 'utf8');
         }
-        
-        // Use daily files instead of timestamped files
-        for (const logFile of logs) {
-            const dailyFilePath = path.join(dateDir, logFile.name);
-            const timestamp = new Date().toISOString();
-            
-            // Create content hash to detect duplicates
-            const contentHash = crypto.createHash('md5').update(logFile.content).digest('hex');
-            const hashFile = `${dailyFilePath}.hashes`;
-            
-            // Check if we've seen this exact content before
-            let existingHashes = [];
-            if (fs.existsSync(hashFile)) {
-                try {
-                    existingHashes = fs.readFileSync(hashFile, 'utf8').split('\n').filter(h => h.length > 0);
-                } catch (error) {
-                    // Ignore hash file errors
-                }
-            }
-            
-            if (existingHashes.includes(contentHash)) {
-                // Skip duplicate content
-                stats[dateKey][logFile.name] = 0; // No new lines added
-                continue;
-            }
-            
-            const logEntry = `\n=== ${timestamp} ===\n${logFile.content}\n`;
-            
-            // Count lines in the new content
-            const newLines = logFile.content.split('\n').length;
-            stats[dateKey][logFile.name] = newLines;
-            
-            // Append to daily file instead of creating new files
-            fs.appendFileSync(dailyFilePath, logEntry, 'utf8');
-            
-            // Store content hash to prevent future duplicates
-            fs.appendFileSync(hashFile, `${contentHash}\n`, 'utf8');
+        pending = {};
+        pendingBytes = 0;
+    };
+    const copyLine = (dateKey, line, lineOffset) => {
+        if (job.isExpired && job.isExpired(dateKey)) {
+            return;
+        }
+        // Raw lines are redacted like parsed records before they touch the disk
+        const text = redactText(line, redaction) + '\n';
+        const textBytes = Buffer.byteLength(text, 'utf8');
+        if (copySizes[dateKey] === undefined) {
+            const target = getTarget(dateKey);
+            copySizes[dateKey] = fs.existsSync(target) ? fs.statSync(target).size : 0;
+            segments[dateKey] = [];
+        }
+
+        // Consecutive lines extend the day's current segment
+        const sourceEnd = lineOffset + Buffer.byteLength(line, 'utf8') + 1;
+        const last = segments[dateKey][segments[dateKey].length - 1];
+        if (last && last.end === lineOffset) {
+            last.end = sourceEnd;
+            last.length += textBytes;
+        } else {
+            segments[dateKey].push({ sourceId: job.sourceId, start: lineOffset, end: sourceEnd, offset: copySizes[dateKey], length: textBytes });
+        }
+        copySizes[dateKey] += textBytes;
+
+        pending[dateKey] = (pending[dateKey] || '') + text;
+        pendingBytes += textBytes;
+        lines[dateKey] = (lines[dateKey] || 0) + 1;
+        if (pendingBytes >= RAW_COPY_FLUSH_BYTES) {
+            flush();
+        }
+    };
+    const copyLeading = dateKey => {
+        leading.forEach(({ line, lineOffset }) => copyLine(dateKey, line, lineOffset));
+        leading = [];
+        leadingBytes = 0;
+    };
+    const modifiedDate = () => formatDateKey(fs.statSync(job.file).mtime);
+
+    const end = forEachNewLine(job.file, job.offset, job.includePartialLine, (line, lineOffset) => {
+        const lineDate = getLineDateKey(line);
+        if (lineDate) {
+            copyLeading(lineDate);
+            currentDate = lineDate;
         }
+        if (currentDate) {
+            copyLine(currentDate, line, lineOffset);
+            return;
+        }
+        leading.push({ line, lineOffset });
+        leadingBytes += line.length;
+        if (leadingBytes >= RAW_COPY_FLUSH_BYTES) {
+            // Not a timestamped log; don't hold all of it
+            currentDate = modifiedDate();
+            copyLeading(currentDate);
+        }
+    });
+    if (leading.length > 0) {
+        copyLeading(modifiedDate());
     }
-    
-    return stats;
+    flush();
+
+    for (const [dateKey, daySegments] of Object.entries(segments)) {
+        // A last line included without its newline ends at the end of the file
+        daySegments.forEach(segment => { segment.end = Math.min(segment.end, end); });
+        recordRawLogSegments(path.join(baseDir, dateKey), relativePath, daySegments);
+    }
+    return { end, lines };
+}
+
+/**
+ * Add segments to a day folder's sources.json: for each raw copy (by path
+ * relative to the day folder), the runs of lines in it as { sourceId, start,
+ * end } (byte range in the source log) and { offset, length } (bytes in the
+ * copy). A run continuing the previous one is merged into it.
+ */
+function recordRawLogSegments(dayDir, relativePath, segments) {
+    const sourcesFile = path.join(dayDir, RAW_SOURCES_NAME);
+    const sources = readRawLogSources(dayDir);
+    const recorded = sources[relativePath] || [];
+    for (const segment of segments) {
+        const last = recorded[recorded.length - 1];
+        if (last && last.sourceId === segment.sourceId && last.end === segment.start && last.offset + last.length === segment.offset) {
+            last.end = segment.end;
+            last.length += segment.length;
+        } else {
+            recorded.push(segment);
+        }
+    }
+    sources[relativePath] = recorded;
+    writeFileAtomic(sourcesFile, JSON.stringify(sources, null, 2));
+}
+
+/**
+ * A day folder's sources.json ({} when missing or unreadable)
+ */
+function readRawLogSources(dayDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dayDir, RAW_SOURCES_NAME), 'utf8')) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Day, product and session of a raw copy from its archive entry name
+ * (<day>/<product>/<session>/<log name>), or null for a copy written
+ * before copies were kept per session (<day>/<log name>)
+ */
+function parseRawLogPath(name) {
+    const parts = name.split('/');
+    if (parts.length !== 4) {
+        return null;
+    }
+    const [date, product, session, fileName] = parts;
+    return { date, product, session: session === NO_SESSION_FOLDER ? null : session, fileName };
 }
 
 async function createDailyArchives(dates, userConfig = null) {
     const baseDir = getPersistedLogsDirectory(userConfig);
+    const archives = [];
     
     for (const dateKey of dates) {
         const dateDir = path.join(baseDir, dateKey);
@@ -73,39 +204,78 @@ async function createDailyArchives(dates, userConfig = null) {
                 // Create tar.gz archive for this date
                 const tarData = await createTarArchiveFromDirectory(dateDir, dateKey);
                 const compressedData = await gzip(tarData);
-                fs.writeFileSync(archivePath, compressedData);
+                writeFileAtomic(archivePath, compressedData, null);
+                archives.push(archivePath);
             } catch (error) {
                 console.warn(`Failed to create archive for ${dateKey}:`, error);
             }
         }
     }
+
+    return archives;
 }
 
+/**
+ * Manifest stored as the first entry of a daily archive: size and SHA-256
+ * of every file in it, so a restored archive can be verified, and for raw
+ * copies the source segments recorded in the day's sources.json
+ */
+function createArchiveManifest(datePrefix, entries, sources = {}) {
+    return stampDocument('archiveManifest', {
+        date: datePrefix,
+        files: entries.map(entry => {
+            const segments = sources[entry.tarPath.substring(datePrefix.length + 1)];
+            return {
+                name: entry.tarPath,
+                size: entry.content.length,
+                sha256: crypto.createHash('sha256').update(entry.content).digest('hex'),
+                ...(segments ? { segments } : {})
+            };
+        })
+    });
+}
 
-async function createTarArchiveFromDirectory(directory, datePrefix){
-    const chunks = [];
-    const files = fs.readdirSync(directory);
-    
-    for (const fileName of files) {
+
+/**
+ * Files and subfolders of a directory as tar entries named
+ * <tarPrefix>/<relative path>, with their modes and mtimes (folders first,
+ * then their content, in name order)
+ */
+function collectTarEntries(directory, tarPrefix) {
+    const entries = [];
+    const names = fs.readdirSync(directory).sort();
+
+    for (const fileName of names) {
         const filePath = path.join(directory, fileName);
         const stat = fs.statSync(filePath);
-        
-        if (stat.isFile()) {
-            const content = fs.readFileSync(filePath);
-            const tarPath = `${datePrefix}/${fileName}`;
-            const header = createTarHeader(tarPath, content.length, '0');
-            
-            chunks.push(header);
-            chunks.push(content);
-            
-            // Padding
-            const remainder = content.length % 512;
-            if (remainder !== 0) {
-                const padding = 512 - remainder;
-                chunks.push(Buffer.alloc(padding, 0));
-            }
+        const tarPath = `${tarPrefix}/${fileName}`;
+
+        if (stat.isDirectory()) {
+            entries.push({ tarPath, typeFlag: '5', content: Buffer.alloc(0), mode: stat.mode & 0o7777, mtime: stat.mtimeMs });
+            entries.push(...collectTarEntries(filePath, tarPath));
+        } else if (stat.isFile()) {
+            entries.push({ tarPath, typeFlag: '0', content: fs.readFileSync(filePath), mode: stat.mode & 0o7777, mtime: stat.mtimeMs });
         }
     }
+    return entries;
+}
+
+async function createTarArchiveFromDirectory(directory, datePrefix){
+    const chunks = [];
+    // sources.json goes into the manifest instead of being archived as a file
+    const entries = collectTarEntries(directory, datePrefix)
+        .filter(entry => ![ARCHIVE_MANIFEST_NAME, RAW_SOURCES_NAME].map(name => `${datePrefix}/${name}`).includes(entry.tarPath));
+
+    const manifest = createArchiveManifest(datePrefix, entries.filter(entry => entry.typeFlag === '0'), readRawLogSources(directory));
+    entries.unshift({
+        tarPath: `${datePrefix}/${ARCHIVE_MANIFEST_NAME}`,
+        typeFlag: '0',
+        content: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8')
+    });
+
+    for (const entry of entries) {
+        chunks.push(...createTarEntry(entry));
+    }
     
     // End of archive
     chunks.push(Buffer.alloc(512, 0));
@@ -114,7 +284,80 @@ async function createTarArchiveFromDirectory(directory, datePrefix){
     return Buffer.concat(chunks);
 }
 
-function createTarHeader(name, size, typeFlag) {
+/**
+ * Header and padded content of one archive entry. Names that don't fit the
+ * ustar name and prefix fields (or aren't plain ASCII) get a PAX extended
+ * header carrying the full path first.
+ */
+function createTarEntry({ tarPath, typeFlag = '0', content, mode, mtime }) {
+    const name = typeFlag === '5' ? `${tarPath.replace(/\/+$/, '')}/` : tarPath;
+    const options = { mode, mtime };
+    const chunks = [];
+
+    let fields = splitTarName(name);
+    if (!fields) {
+        const paxData = createPaxData({ path: name });
+        const paxName = `PaxHeader/${path.posix.basename(name)}`.replace(/[^\x20-\x7e]/g, '_').substring(0, 100);
+        chunks.push(createTarHeader(paxName, paxData.length, 'x', { mtime }), paxData, tarPadding(paxData.length));
+        // Readers without PAX support still get a usable (shortened) name
+        fields = { name: name.replace(/[^\x20-\x7e]/g, '_').slice(-100), prefix: '' };
+    }
+
+    chunks.push(createTarHeader(fields.name, content.length, typeFlag, { ...options, prefix: fields.prefix }));
+    chunks.push(content, tarPadding(content.length));
+    return chunks;
+}
+
+/**
+ * Split a name into the ustar name (100 bytes) and prefix (155 bytes)
+ * fields at a "/", or null when it doesn't fit or isn't plain ASCII
+ */
+function splitTarName(name) {
+    if (!/^[\x20-\x7e]*$/.test(name)) {
+        return null;
+    }
+    if (name.length <= 100) {
+        return { name, prefix: '' };
+    }
+    // A directory's trailing "/" belongs to the name part
+    for (let slash = name.indexOf('/'); slash >= 0 && slash < name.length - 1; slash = name.indexOf('/', slash + 1)) {
+        if (slash <= 155 && name.length - slash - 1 <= 100) {
+            return { name: name.substring(slash + 1), prefix: name.substring(0, slash) };
+        }
+    }
+    return null;
+}
+
+/**
+ * PAX extended header records: "<length> <key>=<value>\n", where length
+ * counts the whole record including its own digits
+ */
+function createPaxData(records) {
+    const lines = Object.entries(records).map(([key, value]) => {
+        const body = ` ${key}=${value}\n`;
+        const bodyLength = Buffer.byteLength(body, 'utf8');
+        let length = bodyLength + String(bodyLength).length;
+        if (String(length).length > String(bodyLength).length) {
+            length++;
+        }
+        return `${length}${body}`;
+    });
+    return Buffer.from(lines.join(''), 'utf8');
+}
+
+/**
+ * Zero bytes filling content up to the next 512-byte block
+ */
+function tarPadding(size) {
+    const remainder = size % 512;
+    return Buffer.alloc(remainder === 0 ? 0 : 512 - remainder, 0);
+}
+
+/**
+ * ustar header block. options: mode (defaults 0644, or 0755 for folders),
+ * mtime in ms (defaults to now) and the name prefix field.
+ */
+function createTarHeader(name, size, typeFlag, options = {}) {
     const header = Buffer.alloc(512, 0);
     
     // Name (100 bytes)
@@ -122,7 +365,8 @@ function createTarHeader(name, size, typeFlag) {
     nameBytes.copy(header, 0);
     
     // Mode (8 bytes) 
-    header.write(typeFlag === '5' ? '0000755\0' : '0000644\0', 100, 'ascii');
+    const mode = options.mode !== undefined ? options.mode : (typeFlag === '5' ? 0o755 : 0o644);
+    header.write(mode.toString(8).padStart(7, '0') + '\0', 100, 'ascii');
     
     // UID (8 bytes)
     header.write('0000000\0', 108, 'ascii');
@@ -134,8 +378,9 @@ function createTarHeader(name, size, typeFlag) {
     const sizeOctal = size.toString(8).padStart(11, '0') + '\0';
     header.write(sizeOctal, 124, 'ascii');
     
-    // Mtime (12 bytes) - octal, 11 chars + null terminator
-    const mtime = Math.floor(Date.now() / 1000).toString(8).padStart(11, '0') + '\0';
+    // Mtime (12 bytes) - octal seconds, 11 chars + null terminator
+    const mtimeMs = options.mtime !== undefined ? options.mtime : Date.now();
+    const mtime = Math.floor(mtimeMs / 1000).toString(8).padStart(11, '0') + '\0';
     header.write(mtime, 136, 'ascii');
     
     // Checksum (8 bytes) - will be calculated and filled below
@@ -149,6 +394,11 @@ function createTarHeader(name, size, typeFlag) {
     
     // Version (2 bytes) - "00"
     header.write('00', 263, 'ascii');
+
+    // Prefix (155 bytes) - leading folders of a long name
+    if (options.prefix) {
+        header.write(options.prefix.substring(0, 155), 345, 'ascii');
+    }
     
     // Calculate checksum
     let checksum = 0;
@@ -163,6 +413,164 @@ function createTarHeader(name, size, typeFlag) {
     return header;
 }
 
+/**
+ * Get the contributions of a metric entry.
+ * Entries written before contributions were tracked become one untracked
+ * contribution (file: null), which is always kept and never deduplicated.
+ */
+function getContributions(metric) {
+    if (Array.isArray(metric.contributions)) {
+        return metric.contributions;
+    }
+    return [{
+        file: null,
+        start: null,
+        end: null,
+        numRequests: metric.numRequests || 0,
+        latency: metric.latency,
+        // Older entries only ever counted successful requests
+        outcomes: metric.outcomes || { success: metric.numRequests || 0 },
+        statusCodes: metric.statusCodes || {}
+    }];
+}
+
+/**
+ * Add the counters of one map (e.g. outcomes, status codes) into another
+ */
+function addCounts(target, source) {
+    for (const [key, count] of Object.entries(source || {})) {
+        target[key] = (target[key] || 0) + count;
+    }
+    return target;
+}
+
+/**
+ * Sum the counters of several contributions
+ */
+function sumContributions(contributions) {
+    let latency = null;
+    let numRequests = 0;
+    const outcomes = {};
+    const statusCodes = {};
+    let byHour = null;
+    let sessions = null;
+
+    for (const contribution of contributions) {
+        numRequests += contribution.numRequests || 0;
+        latency = mergeLatencyStats(latency, contribution.latency);
+        addCounts(outcomes, contribution.outcomes);
+        addCounts(statusCodes, contribution.statusCodes);
+        // Optional breakdowns, only present when enabled at aggregation time
+        if (contribution.byHour) {
+            byHour = addCounts(byHour || {}, contribution.byHour);
+        }
+        if (contribution.sessions) {
+            sessions = addCounts(sessions || {}, contribution.sessions);
+        }
+    }
+
+    const totals = { numRequests, outcomes, statusCodes, latency: summarizeLatency(latency) };
+    if (byHour) totals.byHour = byHour;
+    if (sessions) totals.sessions = sessions;
+    return totals;
+}
+
+/**
+ * Fold incoming contributions into existing ones.
+ * - A segment already covered by an existing one for the same file is skipped (re-parse).
+ * - Existing segments overlapping an incoming one are replaced by it (the newer parse wins).
+ * - Adjacent segments of the same file are coalesced to keep the list short.
+ */
+function mergeContributions(existing, incoming) {
+    let merged = [...existing];
+
+    for (const contribution of incoming) {
+        if (contribution.file === null) {
+            merged.push(contribution);
+            continue;
+        }
+
+        const sameFile = merged.filter(c => c.file === contribution.file);
+        const alreadyCovered = sameFile.some(c => c.start <= contribution.start && contribution.end <= c.end);
+        if (alreadyCovered) {
+            continue;
+        }
+
+        merged = merged.filter(c =>
+            c.file !== contribution.file || c.end <= contribution.start || c.start >= contribution.end
+        );
+        merged.push(contribution);
+    }
+
+    // Coalesce adjacent segments per file
+    const coalesced = [];
+    const sorted = merged.slice().sort((a, b) =>
+        String(a.file).localeCompare(String(b.file)) || (a.start || 0) - (b.start || 0)
+    );
+    for (const contribution of sorted) {
+        const last = coalesced[coalesced.length - 1];
+        if (last && contribution.file !== null && last.file === contribution.file && last.end === contribution.start) {
+            coalesced[coalesced.length - 1] = {
+                ...last,
+                end: contribution.end,
+                ...sumContributions([last, contribution])
+            };
+        } else {
+            coalesced.push(contribution);
+        }
+    }
+    return coalesced;
+}
+
+/**
+ * Merge two entries with the same key, recomputing totals from contributions
+ */
+function mergeMetricEntries(previous, metric) {
+    const contributions = mergeContributions(getContributions(previous), getContributions(metric));
+
+    return {
+        ...metric,
+        ...sumContributions(contributions),
+        contributions
+    };
+}
+
+/**
+ * Add up entries that came apart only by how a field was written (e.g. a
+ * served_by URL and its normalised form). Unlike mergeMetricEntries, equal
+ * segments are summed: they counted different requests.
+ */
+function combineMetricEntries(entries) {
+    const bySegment = new Map();
+    const untracked = [];
+    for (const contribution of entries.flatMap(getContributions)) {
+        if (contribution.file === null) {
+            untracked.push(contribution);
+            continue;
+        }
+        const key = `${contribution.file}|${contribution.start}|${contribution.end}`;
+        const previous = bySegment.get(key);
+        bySegment.set(key, previous
+            ? { file: previous.file, start: previous.start, end: previous.end, ...sumContributions([previous, contribution]) }
+            : contribution);
+    }
+
+    const contributions = [...bySegment.values(), ...untracked];
+    return {
+        ...entries[entries.length - 1],
+        ...sumContributions(contributions),
+        contributions
+    };
+}
+
+/**
+ * Merge key of a metric entry
+ */
+function getMetricKey(metric) {
+    // Entries written before product tagging were all the default product
+    return `${metric.source}|${metric.servedBy}|${metric.action}|${metric.ide || DEFAULT_PRODUCT}`;
+}
+
 /**
  * Save parsed metrics to JSON files organized by date
  */
@@ -191,36 +599,186 @@ async function saveMetricsToJSON(aggregatedMetrics, userConfig = null) {
         const filename = `metrics_${date}.json`;
         const filepath = path.join(metricsDir, filename);
 
-        // Load existing metrics if file exists
-        let existingMetrics = [];
-        if (fs.existsSync(filepath)) {
-            try {
-                const content = fs.readFileSync(filepath, 'utf8');
-                existingMetrics = JSON.parse(content);
-            } catch (error) {
-                console.warn(`Error reading existing metrics file ${filename}: ${error.message}`);
-            }
+        // Load existing metrics if file exists; never downgrade a file from a newer version
+        const existingDocument = readMetricsDocument(filepath);
+        if (getSchemaVersion(existingDocument) > SCHEMA_VERSIONS.metrics) {
+            throw new NewerSchemaError(filename, existingDocument.schemaVersion);
         }
+        const existingMetrics = getMetricsEntries(existingDocument);
 
-        // Merge new metrics with existing ones (avoid duplicates by key)
+        // Merge new metrics with existing ones (additive per key, idempotent per source segment)
         const mergedMetrics = {};
         for (const metric of [...existingMetrics, ...metrics]) {
-            const key = `${metric.source}|${metric.servedBy}|${metric.action}`;
-            mergedMetrics[key] = metric;
+            const key = getMetricKey(metric);
+            const previous = mergedMetrics[key];
+            mergedMetrics[key] = previous ? mergeMetricEntries(previous, metric) : metric;
         }
 
         // Save merged metrics
         const metricsArray = Object.values(mergedMetrics);
-        fs.writeFileSync(filepath, JSON.stringify(metricsArray, null, 2), 'utf8');
+        writeFileAtomic(filepath, JSON.stringify(createMetricsDocument(date, metricsArray), null, 2));
         savedFiles.push(filepath);
     }
 
     return savedFiles;
 }
 
+/**
+ * Convert a parsed record into an event (no user identity; the record's
+ * fields were already redacted by the parser)
+ */
+function toEvent(record) {
+    const id = record.segment
+        ? `${record.segment.file}:${record.offset}`
+        : crypto.createHash('sha1').update(JSON.stringify([record.timestamp, record.source, record.request_id, record.served_by])).digest('hex').substring(0, 16);
+
+    return {
+        id,
+        timestamp: record.timestamp || record.date,
+        date: record.date,
+        source: record.source,
+        servedBy: record.served_by,
+        action: record.action,
+        requestId: record.request_id || null,
+        status: record.status || null,
+        statusCode: record.status_code === undefined ? null : record.status_code,
+        outcome: record.outcome || 'success',
+        responseTimeMs: record.response_time === undefined ? null : record.response_time,
+        rule: record.rule || null,
+        session: record.session || null
+    };
+}
+
+/**
+ * Get the events directory inside the logs directory
+ */
+function getEventsDirectory(userConfig = null) {
+    return path.join(getPersistedLogsDirectory(userConfig), 'events');
+}
+
+/**
+ * Append one event per record to events/events_YYYY-MM-DD.ndjson.
+ * Events already in the day's file (same source segment and line offset)
+ * are skipped, so re-parsing a range does not duplicate them.
+ * Returns the number of events written.
+ */
+function appendEventsToNDJSON(records, userConfig = null) {
+    const eventsDir = getEventsDirectory(userConfig);
+    if (!fs.existsSync(eventsDir)) {
+        fs.mkdirSync(eventsDir, { recursive: true });
+    }
+
+    const eventsByDate = {};
+    for (const record of records) {
+        if (!eventsByDate[record.date]) {
+            eventsByDate[record.date] = [];
+        }
+        eventsByDate[record.date].push(toEvent(record));
+    }
+
+    let written = 0;
+    for (const [date, events] of Object.entries(eventsByDate)) {
+        const filepath = path.join(eventsDir, `events_${date}.ndjson`);
+
+        const existingIds = new Set();
+        let separator = '';
+        if (fs.existsSync(filepath)) {
+            const content = fs.readFileSync(filepath, 'utf8');
+            // Start on a fresh line after a line cut short by a crash
+            separator = content.length > 0 && !content.endsWith('\n') ? '\n' : '';
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    existingIds.add(JSON.parse(line).id);
+                } catch {
+                    // Ignore a partially written line
+                }
+            }
+        }
+
+        const newEvents = events.filter(event => !existingIds.has(event.id));
+        if (newEvents.length > 0) {
+            // A new file starts with a header line carrying the schema version
+            const lines = newEvents.map(event => JSON.stringify(event));
+            if (!fs.existsSync(filepath) || fs.statSync(filepath).size === 0) {
+                lines.unshift(JSON.stringify(createEventsHeader(date)));
+            }
+            fs.appendFileSync(filepath, separator + lines.join('\n') + '\n', 'utf8');
+            written += newEvents.length;
+        }
+    }
+    return written;
+}
+
+/**
+ * Get the metrics directory inside the logs directory
+ */
+function getMetricsDirectory(userConfig = null) {
+    return path.join(getPersistedLogsDirectory(userConfig), 'metrics');
+}
+
+/**
+ * Read one metrics file as parsed, in whatever schema version it has
+ * (null if missing or unreadable)
+ */
+function readMetricsDocument(filepath) {
+    if (!fs.existsSync(filepath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+        console.warn(`Error reading existing metrics file ${path.basename(filepath)}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Read the entries of one metrics file (empty if missing or unreadable).
+ * Reads both the versioned document and the bare array of version 1.
+ */
+function readMetricsFile(filepath) {
+    return getMetricsEntries(readMetricsDocument(filepath));
+}
+
+/**
+ * Load metrics files for an inclusive YYYY-MM-DD date range (either bound may be null)
+ * Returns { [date]: entries } sorted by date
+ */
+function loadMetricsByDate(userConfig = null, fromDate = null, toDate = null) {
+    const metricsDir = getMetricsDirectory(userConfig);
+    const metricsByDate = {};
+    if (!fs.existsSync(metricsDir)) {
+        return metricsByDate;
+    }
+
+    const dates = fs.readdirSync(metricsDir)
+        .map(fileName => /^metrics_(\d{4}-\d{2}-\d{2})\.json$/.exec(fileName))
+        .filter(match => match)
+        .map(match => match[1])
+        .filter(date => (!fromDate || date >= fromDate) && (!toDate || date <= toDate))
+        .sort();
+
+    for (const date of dates) {
+        metricsByDate[date] = readMetricsFile(path.join(metricsDir, `metrics_${date}.json`));
+    }
+    return metricsByDate;
+}
+
 module.exports = {
-    saveToPersistentStorage,
+    ARCHIVE_MANIFEST_NAME,
+    copyNewLogLines,
+    parseRawLogPath,
     createDailyArchives,
+    createTarArchiveFromDirectory,
     getPersistedLogsDirectory,
-    saveMetricsToJSON
+    getMetricsDirectory,
+    saveMetricsToJSON,
+    getMetricKey,
+    combineMetricEntries,
+    readMetricsDocument,
+    readMetricsFile,
+    loadMetricsByDate,
+    getEventsDirectory,
+    appendEventsToNDJSON
 }
\ No newline at end of file
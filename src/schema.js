@@ -0,0 +1,107 @@
+const { version: EXTENSION_VERSION } = require('../package.json');
+const { resolveTimeZoneName } = require('./dates');
+
+/**
+ * Current schema version of each kind of persisted file. Files written
+ * before versioning count as version 1. Bump a version together with a
+ * migration step in src/migration.js.
+ */
+const SCHEMA_VERSIONS = {
+    metrics: 3,
+    events: 3,
+    collectionState: 2,
+    parsingState: 2,
+    userConfig: 2,
+    // Introduced after versioning, so they start at 1
+    retentionState: 1,
+    archiveManifest: 1
+};
+
+/**
+ * Thrown when a file was written by a newer version of the extension; it is
+ * never rewritten (that would drop what the newer version stored)
+ */
+class NewerSchemaError extends Error {
+    constructor(fileName, schemaVersion) {
+        super(`${fileName} was written by a newer version of the extension (schema ${schemaVersion})`);
+        this.name = 'NewerSchemaError';
+        this.fileName = fileName;
+        this.schemaVersion = schemaVersion;
+    }
+}
+
+/**
+ * Metadata header written into every persisted file
+ */
+function createMetadata(timeZone = null) {
+    return {
+        extensionVersion: EXTENSION_VERSION,
+        generatedAt: new Date().toISOString(),
+        timeZone: timeZone || resolveTimeZoneName()
+    };
+}
+
+/**
+ * Schema version of parsed file content (1 for unversioned content)
+ */
+function getSchemaVersion(content) {
+    if (content && !Array.isArray(content) && Number.isInteger(content.schemaVersion)) {
+        return content.schemaVersion;
+    }
+    return 1;
+}
+
+/**
+ * An object file (state, config) with the current schemaVersion and a fresh
+ * metadata header in front of its own fields
+ */
+function stampDocument(kind, data, timeZone = null) {
+    const fields = { ...(data || {}) };
+    delete fields.schemaVersion;
+    delete fields.meta;
+    return { schemaVersion: SCHEMA_VERSIONS[kind], meta: createMetadata(timeZone), ...fields };
+}
+
+/**
+ * A metrics_YYYY-MM-DD.json document. Its zone is the one the entries were
+ * bucketed in.
+ */
+function createMetricsDocument(date, entries, timeZone = null) {
+    const entryZone = entries.length > 0 ? entries[0].timeZone : null;
+    return {
+        schemaVersion: SCHEMA_VERSIONS.metrics,
+        meta: createMetadata(timeZone || entryZone),
+        date,
+        metrics: entries
+    };
+}
+
+/**
+ * Entries of a metrics document of any version (bare array in version 1)
+ */
+function getMetricsEntries(content) {
+    if (Array.isArray(content)) {
+        return content;
+    }
+    return content && Array.isArray(content.metrics) ? content.metrics : [];
+}
+
+/**
+ * First line of an events NDJSON file. It has no "id", so it is never
+ * mistaken for an event.
+ */
+function createEventsHeader(date, timeZone = null) {
+    return { schemaVersion: SCHEMA_VERSIONS.events, meta: createMetadata(timeZone), date };
+}
+
+module.exports = {
+    EXTENSION_VERSION,
+    SCHEMA_VERSIONS,
+    NewerSchemaError,
+    createMetadata,
+    getSchemaVersion,
+    stampDocument,
+    createMetricsDocument,
+    getMetricsEntries,
+    createEventsHeader
+};
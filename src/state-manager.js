@@ -1,5 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const { writeFileAtomic, tryAcquireLock, releaseLock } = require('./file-lock');
+const { stampDocument } = require('./schema');
+const { getRedactionRules, redactJson } = require('./redaction');
+
+// How long a vanished log file keeps its state entries before they are pruned
+const PRUNE_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
 
 /**
  * Manages collection and parsing state
@@ -37,7 +43,8 @@ class StateManager {
             const logsDir = getPersistedLogsDirectory(userConfig);
             const destFile = path.join(logsDir, fileName);
 
-            fs.writeFileSync(destFile, JSON.stringify(data, null, 2), 'utf8');
+            // The copy may be shared with the logs folder: no log paths in it, not even as keys
+            writeFileAtomic(destFile, JSON.stringify(redactJson(data, getRedactionRules(), { keys: true }), null, 2));
         } catch (error) {
             // Silent fail - this is just a convenience copy
         }
@@ -57,6 +64,14 @@ class StateManager {
         return path.join(this.getStateStoragePath(), 'parsing_state.json');
     }
 
+    /**
+     * Lock file held while a window reads and rewrites the state files, so
+     * only one window collects at a time
+     */
+    getStateLockFile() {
+        return path.join(this.getStateStoragePath(), 'collection.lock');
+    }
+
     /**
      * Load collection state
      */
@@ -79,12 +94,15 @@ class StateManager {
     saveCollectionState(state) {
         const stateFile = this.getCollectionStateFile();
         try {
-            const data = {
+            const data = stampDocument('collectionState', {
                 lastCollection: state.lastCollection || Date.now(),
                 processedFiles: Array.from(state.processedFiles || []),
-                fileSizes: state.fileSizes || {}
-            };
-            fs.writeFileSync(stateFile, JSON.stringify(data, null, 2), 'utf8');
+                fileSizes: state.fileSizes || {},
+                rawLogOffsets: state.rawLogOffsets,
+                missingSince: state.missingSince || {},
+                pruned: state.pruned || emptyPruneSummary()
+            });
+            writeFileAtomic(stateFile, JSON.stringify(data, null, 2));
 
             // Also copy to logs directory for easy access
             this.copyStateToLogsDirectory('collection-state.json', data);
@@ -115,15 +133,91 @@ class StateManager {
     saveParsingState(state) {
         const stateFile = this.getParsingStateFile();
         try {
-            fs.writeFileSync(stateFile, JSON.stringify(state, null, 2), 'utf8');
+            const data = stampDocument('parsingState', state);
+            writeFileAtomic(stateFile, JSON.stringify(data, null, 2));
 
             // Also copy to logs directory for easy access
-            this.copyStateToLogsDirectory('parsing_state.json', state);
+            this.copyStateToLogsDirectory('parsing_state.json', data);
         } catch (error) {
             this.outputChannel.appendLine(`Error saving parsing state: ${error.message}`);
         }
     }
 
+    /**
+     * Get retention state file path
+     */
+    getRetentionStateFile() {
+        return path.join(this.getStateStoragePath(), 'retention_state.json');
+    }
+
+    /**
+     * Load the record of what the retention cleanup removed
+     * ({ lastRunAt, lastRemovedAt: { class: ms }, removedTotals: { class: count } })
+     */
+    loadRetentionState() {
+        const stateFile = this.getRetentionStateFile();
+        try {
+            if (fs.existsSync(stateFile)) {
+                return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`Error loading retention state: ${error.message}`);
+        }
+        return { lastRunAt: 0, lastRemovedAt: {}, removedTotals: {} };
+    }
+
+    /**
+     * Save retention state
+     */
+    saveRetentionState(state) {
+        try {
+            writeFileAtomic(this.getRetentionStateFile(), JSON.stringify(stampDocument('retentionState', state), null, 2));
+        } catch (error) {
+            this.outputChannel.appendLine(`Error saving retention state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop state entries of log files that have been gone longer than the
+     * grace period (VS Code deletes old session folders), keeping only a
+     * running summary of what was pruned. Returns a report for the health check,
+     * or null when another window holds the state lock (it is retried next time).
+     */
+    compactStates(now = Date.now()) {
+        const lockFile = this.getStateLockFile();
+        if (!tryAcquireLock(lockFile).acquired) {
+            return null;
+        }
+        try {
+            return this.compactStatesLocked(now);
+        } finally {
+            releaseLock(lockFile);
+        }
+    }
+
+    compactStatesLocked(now) {
+        const collectionState = this.loadCollectionState();
+        const parsingState = this.loadParsingState();
+
+        const collection = compactCollectionState(collectionState, now);
+        const parsing = compactParsingState(parsingState, now);
+
+        if (collection.changed) {
+            this.saveCollectionState(collectionState);
+        }
+        if (parsing.changed) {
+            this.saveParsingState(parsingState);
+        }
+
+        // Both states mostly track the same paths, so count each path once
+        return {
+            prunedFiles: new Set([...collection.expired, ...parsing.expired]).size,
+            prunedBytes: parsing.prunedBytes,
+            pendingFiles: new Set([...collection.pending, ...parsing.pending]).size,
+            totalPrunedFiles: Math.max(collectionState.pruned.files || 0, parsingState.pruned.files || 0)
+        };
+    }
+
     /**
      * Reset collection state
      */
@@ -165,4 +259,121 @@ class StateManager {
     }
 }
 
+function emptyPruneSummary() {
+    return { files: 0, bytes: 0, oldestSession: null, newestSession: null, lastPrunedAt: null };
+}
+
+/**
+ * Track when each path was first seen missing; return the paths past the grace period
+ */
+function findExpiredPaths(paths, missingSince, now) {
+    const expired = [];
+    const pending = [];
+    for (const file of paths) {
+        if (fs.existsSync(file)) {
+            delete missingSince[file];
+            continue;
+        }
+        if (!missingSince[file]) {
+            missingSince[file] = now;
+        }
+        if (now - missingSince[file] >= PRUNE_GRACE_MS) {
+            expired.push(file);
+            delete missingSince[file];
+        } else {
+            pending.push(file);
+        }
+    }
+    // Forget paths that no longer have any state
+    for (const file of Object.keys(missingSince)) {
+        if (!paths.includes(file)) {
+            delete missingSince[file];
+        }
+    }
+    return { expired, pending };
+}
+
+/**
+ * Add pruned paths to a state's summary (count, parsed bytes, session range)
+ */
+function addToPruneSummary(state, files, bytes, now) {
+    const summary = { ...emptyPruneSummary(), ...(state.pruned || {}) };
+    summary.files += files.length;
+    summary.bytes += bytes;
+    for (const file of files) {
+        const sessionMatch = file.match(/(\d{8}T\d{6})/);
+        if (sessionMatch) {
+            const session = sessionMatch[1];
+            if (!summary.oldestSession || session < summary.oldestSession) summary.oldestSession = session;
+            if (!summary.newestSession || session > summary.newestSession) summary.newestSession = session;
+        }
+    }
+    summary.lastPrunedAt = now;
+    state.pruned = summary;
+}
+
+/**
+ * Compact collection-state: processedFiles and fileSizes of vanished files
+ */
+function compactCollectionState(state, now) {
+    state.fileSizes = state.fileSizes || {};
+    state.missingSince = state.missingSince || {};
+    state.pruned = { ...emptyPruneSummary(), ...(state.pruned || {}) };
+    const processed = Array.from(state.processedFiles || []);
+    const paths = [...new Set([...processed, ...Object.keys(state.fileSizes)])];
+    const before = JSON.stringify(state.missingSince);
+
+    const { expired, pending } = findExpiredPaths(paths, state.missingSince, now);
+    if (expired.length > 0) {
+        const expiredSet = new Set(expired);
+        state.processedFiles = processed.filter(file => !expiredSet.has(file));
+        for (const file of expired) {
+            delete state.fileSizes[file];
+        }
+        addToPruneSummary(state, expired, 0, now);
+    }
+
+    return {
+        expired,
+        pending,
+        changed: expired.length > 0 || JSON.stringify(state.missingSince) !== before
+    };
+}
+
+/**
+ * Compact parsing state: byte offsets and file identities of vanished files,
+ * and rotated-away identities older than the grace period
+ */
+function compactParsingState(state, now) {
+    state.processedFiles = state.processedFiles || {};
+    state.fileIdentities = state.fileIdentities || {};
+    state.missingSince = state.missingSince || {};
+    state.pruned = { ...emptyPruneSummary(), ...(state.pruned || {}) };
+    const paths = [...new Set([...Object.keys(state.processedFiles), ...Object.keys(state.fileIdentities)])];
+    const before = JSON.stringify(state.missingSince);
+
+    const { expired, pending } = findExpiredPaths(paths, state.missingSince, now);
+    let prunedBytes = 0;
+    for (const file of expired) {
+        prunedBytes += state.processedFiles[file] || 0;
+        delete state.processedFiles[file];
+        delete state.fileIdentities[file];
+    }
+    if (expired.length > 0) {
+        addToPruneSummary(state, expired, prunedBytes, now);
+    }
+
+    const rotatedBefore = (state.rotatedFiles || []).length;
+    if (state.rotatedFiles) {
+        state.rotatedFiles = state.rotatedFiles.filter(entry => !entry.retiredAt || now - entry.retiredAt < PRUNE_GRACE_MS);
+    }
+
+    return {
+        expired,
+        prunedBytes,
+        pending,
+        changed: expired.length > 0 || (state.rotatedFiles || []).length !== rotatedBefore || JSON.stringify(state.missingSince) !== before
+    };
+}
+
 module.exports = StateManager;
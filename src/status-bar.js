@@ -0,0 +1,172 @@
+const path = require('path');
+const vscode = require('vscode');
+const { getMetricsDirectory, readMetricsFile } = require('./saver');
+const { todayKey } = require('./dates');
+
+const ACTIONS_COMMAND = 'avocado-copilot-logger.StatusBarActions';
+
+/**
+ * Status bar item showing today's request counts, time since the last
+ * collection and a warning when the last health check found issues
+ */
+class StatusBarController {
+    constructor(stateManager, configManager, healthChecker, outputChannel) {
+        this.stateManager = stateManager;
+        this.configManager = configManager;
+        this.healthChecker = healthChecker;
+        this.outputChannel = outputChannel;
+        this.healthStatus = null;
+        this.isCollector = null;
+        this.refreshTimer = null;
+
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+        this.item.command = ACTIONS_COMMAND;
+        this.item.name = 'Copilot Logger';
+    }
+
+    /**
+     * Show the item and keep the "last collected" time current
+     */
+    start() {
+        this.update();
+        this.item.show();
+        this.refreshTimer = setInterval(() => this.update(), 60 * 1000);
+    }
+
+    /**
+     * Remember the latest health check result and re-render
+     */
+    setHealthStatus(status) {
+        this.healthStatus = status;
+        this.update();
+    }
+
+    /**
+     * Whether this window is the one collecting (see LeaderElection)
+     */
+    setCollectorRole(isCollector) {
+        this.isCollector = isCollector;
+        this.update();
+    }
+
+    /**
+     * Sum today's completion and chat requests from today's metrics file
+     */
+    getTodayCounts() {
+        const userConfig = this.configManager.getConfig();
+        const filepath = path.join(getMetricsDirectory(userConfig), `metrics_${todayKey()}.json`);
+        const counts = { completions: 0, chat: 0 };
+
+        for (const entry of readMetricsFile(filepath)) {
+            if (entry.source === 'copilot-chat') {
+                counts.chat += entry.numRequests || 0;
+            } else {
+                counts.completions += entry.numRequests || 0;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Re-render text, tooltip and warning state
+     */
+    update() {
+        try {
+            const counts = this.getTodayCounts();
+            const lastCollection = this.stateManager.loadCollectionState().lastCollection || 0;
+            const since = lastCollection ? formatElapsed(Date.now() - lastCollection) : 'never';
+            const hasIssues = this.healthStatus && !this.healthStatus.healthy;
+
+            this.item.text = `${hasIssues ? '$(warning)' : '$(pulse)'} ${counts.completions} completions · ${counts.chat} chat · ${since}`;
+            this.item.backgroundColor = hasIssues ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+
+            const tooltip = [
+                'Copilot Logger - today',
+                `Completions: ${counts.completions}`,
+                `Chat requests: ${counts.chat}`,
+                `Last collection: ${since}`
+            ];
+            if (this.isCollector !== null) {
+                tooltip.push(this.isCollector ? 'Collecting in this window' : 'Collected by another window');
+            }
+            if (hasIssues) {
+                const issueCount = (this.healthStatus.issues || []).length;
+                tooltip.push(`Health check: ${issueCount} issue(s) - click for details`);
+            }
+            this.item.tooltip = tooltip.join('\n');
+        } catch (error) {
+            this.outputChannel.appendLine(`Status bar update failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Quick pick shown when the item is clicked
+     */
+    async showActions() {
+        const collectNow = 'Collect Now';
+        const openFolder = 'Open Metrics Folder';
+        const healthDetails = 'Show Health Details';
+
+        const choice = await vscode.window.showQuickPick([collectNow, openFolder, healthDetails], {
+            placeHolder: 'Copilot Logger'
+        });
+
+        if (choice === collectNow) {
+            await vscode.commands.executeCommand('avocado-copilot-logger.CollectLogs');
+        } else if (choice === openFolder) {
+            const metricsDir = getMetricsDirectory(this.configManager.getConfig());
+            vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(metricsDir));
+        } else if (choice === healthDetails) {
+            await this.showHealthDetails();
+        }
+    }
+
+    /**
+     * Print the last health check result (running one if none yet) and show the output
+     */
+    async showHealthDetails() {
+        if (!this.healthStatus) {
+            // performHealthCheck logs its own result
+            this.setHealthStatus(await this.healthChecker.performHealthCheck());
+        } else {
+            const status = this.healthStatus;
+            this.outputChannel.appendLine(`Last health check (${status.timestamp}): ${status.healthy ? 'OK' : `${(status.issues || []).length} issue(s)`}`);
+            (status.issues || []).forEach(issue => this.outputChannel.appendLine(`   - ${issue}`));
+            (status.warnings || []).forEach(warning => this.outputChannel.appendLine(`   ⚡ ${warning}`));
+            if (status.error) {
+                this.outputChannel.appendLine(`   ❌ ${status.error}`);
+            }
+        }
+        this.outputChannel.show(true);
+    }
+
+    /**
+     * Register the click command; returns disposables for context.subscriptions
+     */
+    register() {
+        const command = vscode.commands.registerCommand(ACTIONS_COMMAND, () => this.showActions());
+        return [command, this];
+    }
+
+    dispose() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        this.item.dispose();
+    }
+}
+
+/**
+ * Human readable elapsed time, e.g. "just now", "12m ago", "3h ago"
+ */
+function formatElapsed(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+}
+
+module.exports = StatusBarController;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Read a NUL/space terminated ASCII field of a tar header
+ */
+function readString(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end >= 0 ? end : length);
+}
+
+/**
+ * Read an octal number field of a tar header
+ */
+function readOctal(header, offset, length) {
+    const text = readString(header, offset, length).trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Whether a header's checksum matches (sum of its bytes with the checksum
+ * field counted as spaces)
+ */
+function hasValidChecksum(header) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return sum === readOctal(header, 148, 8);
+}
+
+/**
+ * Parse PAX extended header records ("<length> <key>=<value>\n")
+ */
+function parsePaxRecords(content) {
+    const records = {};
+    let position = 0;
+    while (position < content.length) {
+        const space = content.indexOf(0x20, position);
+        if (space < 0) {
+            break;
+        }
+        const length = parseInt(content.toString('ascii', position, space), 10);
+        if (!length) {
+            break;
+        }
+        const record = content.toString('utf8', space + 1, position + length - 1);
+        const equals = record.indexOf('=');
+        if (equals > 0) {
+            records[record.substring(0, equals)] = record.substring(equals + 1);
+        }
+        position += length;
+    }
+    return records;
+}
+
+/**
+ * Read the entries of an uncompressed tar archive: the ustar layout written
+ * by saver.createTarHeader, including the ustar name prefix and PAX
+ * extended headers. Returns [{ name, type, mode, mtime, size, content }]
+ * with type 'file' or 'directory' (other entry types are skipped).
+ */
+function readTarArchive(buffer) {
+    const entries = [];
+    let position = 0;
+    let pax = {};
+
+    while (position + BLOCK_SIZE <= buffer.length) {
+        const header = buffer.subarray(position, position + BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) {
+            break; // End-of-archive marker
+        }
+        if (!hasValidChecksum(header)) {
+            throw new Error(`Corrupted tar header at byte ${position}`);
+        }
+
+        const typeFlag = String.fromCharCode(header[156] || 0x30);
+        let size = readOctal(header, 124, 12);
+        if (pax.size !== undefined) {
+            size = parseInt(pax.size, 10);
+        }
+        const dataStart = position + BLOCK_SIZE;
+        if (dataStart + size > buffer.length) {
+            throw new Error(`Tar entry at byte ${position} is cut short`);
+        }
+        const content = buffer.subarray(dataStart, dataStart + size);
+        position = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if (typeFlag === 'x') {
+            pax = parsePaxRecords(content);
+            continue;
+        }
+        if (typeFlag === 'g') {
+            continue; // Global PAX header: nothing we use
+        }
+
+        const prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+        const headerName = readString(header, 0, 100);
+        const name = pax.path || (prefix ? `${prefix}/${headerName}` : headerName);
+        const mtime = pax.mtime !== undefined ? parseFloat(pax.mtime) : readOctal(header, 136, 12);
+        pax = {};
+
+        if (typeFlag === '0' || typeFlag === '\0' || typeFlag === '7') {
+            entries.push({ name, type: 'file', mode: readOctal(header, 100, 8), mtime, size, content });
+        } else if (typeFlag === '5') {
+            entries.push({ name: name.replace(/\/$/, ''), type: 'directory', mode: readOctal(header, 100, 8), mtime, size: 0, content: Buffer.alloc(0) });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Read the entries of a .tar.gz file
+ */
+function readTarGzFile(filePath) {
+    return readTarArchive(zlib.gunzipSync(fs.readFileSync(filePath)));
+}
+
+/**
+ * Check archive entries against the archive's manifest (saver's
+ * manifest.json with a SHA-256 per file). Returns { hasManifest, manifest,
+ * verified, mismatched }: the parsed manifest, names whose checksum matches
+ * and names that don't match or are missing. Throws if the manifest is not
+ * valid JSON.
+ */
+function verifyArchiveEntries(entries, manifestName) {
+    const manifestEntry = entries.find(entry => entry.type === 'file' && entry.name.split('/').pop() === manifestName);
+    if (!manifestEntry) {
+        return { hasManifest: false, manifest: null, verified: [], mismatched: [] };
+    }
+
+    const manifest = JSON.parse(manifestEntry.content.toString('utf8'));
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    const verified = [];
+    const mismatched = [];
+    for (const file of manifest.files || []) {
+        const entry = byName.get(file.name);
+        const matches = entry &&
+            entry.size === file.size &&
+            crypto.createHash('sha256').update(entry.content).digest('hex') === file.sha256;
+        (matches ? verified : mismatched).push(file.name);
+    }
+    return { hasManifest: true, manifest, verified, mismatched };
+}
+
+module.exports = {
+    readTarArchive,
+    readTarGzFile,
+    verifyArchiveEntries
+};
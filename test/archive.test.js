@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { createTarArchiveFromDirectory, ARCHIVE_MANIFEST_NAME } = require('../src/saver');
+const { readTarArchive, verifyArchiveEntries } = require('../src/tar-reader');
+
+const DATE = '2025-10-15';
+const MTIME = new Date('2025-10-15T08:30:00Z');
+// 60 + 61 characters: needs the ustar prefix field
+const PREFIXED_FILE = `${'a'.repeat(60)}/${'GitHub Copilot Chat'.padEnd(57, '-')}.log`;
+// A single 120-character name: only a PAX header can hold it
+const PAX_FILE = `${'b'.repeat(116)}.log`;
+
+function hasSystemTar() {
+	try {
+		execFileSync('tar', ['--version'], { stdio: 'ignore' });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+suite('Archive Test Suite', () => {
+	let workDir;
+	let sourceDir;
+
+	setup(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-archive-'));
+		sourceDir = path.join(workDir, DATE);
+
+		const files = {
+			'GitHub Copilot.log': '2025-10-15 10:00:00.000 [info] completion\n',
+			[PREFIXED_FILE]: 'prefixed\n',
+			[PAX_FILE]: 'pax\n',
+			'window1/exthost/GitHub Copilot Chat.log': 'nested\n'
+		};
+		for (const [name, content] of Object.entries(files)) {
+			const filePath = path.join(sourceDir, name);
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(filePath, content);
+			fs.chmodSync(filePath, 0o600);
+			fs.utimesSync(filePath, MTIME, MTIME);
+		}
+	});
+
+	teardown(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	test('Archive round-trips through the system tar', async function () {
+		if (!hasSystemTar()) {
+			this.skip();
+		}
+
+		const archivePath = path.join(workDir, `${DATE}_copilot_logs.tar`);
+		fs.writeFileSync(archivePath, await createTarArchiveFromDirectory(sourceDir, DATE));
+
+		const listed = execFileSync('tar', ['-tf', archivePath], { encoding: 'utf8' }).split('\n').filter(Boolean);
+		assert.strictEqual(listed[0], `${DATE}/${ARCHIVE_MANIFEST_NAME}`);
+		assert.ok(listed.includes(`${DATE}/window1/`));
+
+		const extractDir = path.join(workDir, 'extracted');
+		fs.mkdirSync(extractDir);
+		execFileSync('tar', ['-xpf', archivePath, '-C', extractDir]);
+
+		for (const name of ['GitHub Copilot.log', PREFIXED_FILE, PAX_FILE, 'window1/exthost/GitHub Copilot Chat.log']) {
+			const original = path.join(sourceDir, name);
+			const extracted = path.join(extractDir, DATE, name);
+			assert.ok(fs.readFileSync(extracted).equals(fs.readFileSync(original)), name);
+			assert.strictEqual(Math.floor(fs.statSync(extracted).mtimeMs / 1000), MTIME.getTime() / 1000, name);
+			if (process.platform !== 'win32') {
+				assert.strictEqual(fs.statSync(extracted).mode & 0o777, 0o600, name);
+			}
+		}
+	});
+
+	test('Archive reads back with matching manifest checksums', async () => {
+		const entries = readTarArchive(await createTarArchiveFromDirectory(sourceDir, DATE));
+		const names = entries.map(entry => entry.name);
+
+		assert.ok(names.includes(`${DATE}/${PREFIXED_FILE}`));
+		assert.ok(names.includes(`${DATE}/${PAX_FILE}`));
+		assert.ok(names.includes(`${DATE}/window1/exthost`));
+
+		const { hasManifest, verified, mismatched } = verifyArchiveEntries(entries, ARCHIVE_MANIFEST_NAME);
+		assert.ok(hasManifest);
+		assert.strictEqual(verified.length, 4);
+		assert.deepStrictEqual(mismatched, []);
+	});
+});
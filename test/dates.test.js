@@ -0,0 +1,111 @@
+const assert = require('assert');
+
+const {
+	isValidTimeZone,
+	getConfiguredTimeZone,
+	resolveTimeZoneName,
+	formatDateKey,
+	formatHourKey,
+	isDateKey,
+	addDaysToKey,
+	dateFromKey,
+	parseLogTime
+} = require('../src/dates');
+const { updateSettings } = require('./test-utils');
+
+suite('Dates Test Suite', () => {
+	teardown(async () => {
+		await updateSettings({ timeZone: undefined });
+	});
+
+	test('Log timestamps without a zone are local time; with one they are exact', () => {
+		const local = parseLogTime('2025-09-04 23:02:52.279 [info] [fetchCompletions] finished');
+		assert.strictEqual(local.getTime(), new Date(2025, 8, 4, 23, 2, 52, 279).getTime());
+		// Read back in local time, the written day and hour are kept on any machine
+		assert.strictEqual(formatDateKey(local, 'local'), '2025-09-04');
+		assert.strictEqual(formatHourKey(local, 'local'), '23');
+
+		assert.strictEqual(parseLogTime('2025-09-04T23:02:52.2799Z').toISOString(), '2025-09-04T23:02:52.279Z');
+		assert.strictEqual(parseLogTime('2025-09-04 23:02:52 +0200').toISOString(), '2025-09-04T21:02:52.000Z');
+		assert.strictEqual(parseLogTime('2025-09-04 23:02-07:00').toISOString(), '2025-09-05T06:02:00.000Z');
+		assert.strictEqual(parseLogTime('    at stack frame'), null);
+		assert.strictEqual(parseLogTime(null), null);
+	});
+
+	test('UTC bucketing uses the UTC day and hour', () => {
+		const instant = new Date('2025-09-04T23:59:59.999Z');
+		assert.strictEqual(formatDateKey(instant, 'UTC'), '2025-09-04');
+		assert.strictEqual(formatHourKey(instant, 'UTC'), '23');
+		assert.strictEqual(formatDateKey(new Date('2025-09-05T00:00:00.000Z'), 'UTC'), '2025-09-05');
+		assert.strictEqual(formatHourKey(new Date('2025-09-05T00:00:00.000Z'), 'UTC'), '00');
+	});
+
+	test('An IANA zone follows its DST switches', () => {
+		// Europe/Berlin springs forward at 01:00 UTC on 2025-03-30 (02:00 -> 03:00)
+		assert.strictEqual(formatHourKey(new Date('2025-03-30T00:59:59Z'), 'Europe/Berlin'), '01');
+		assert.strictEqual(formatHourKey(new Date('2025-03-30T01:00:00Z'), 'Europe/Berlin'), '03');
+		// ... and falls back at 01:00 UTC on 2025-10-26 (03:00 -> 02:00): hour 02 happens twice
+		assert.strictEqual(formatHourKey(new Date('2025-10-26T00:30:00Z'), 'Europe/Berlin'), '02');
+		assert.strictEqual(formatHourKey(new Date('2025-10-26T01:30:00Z'), 'Europe/Berlin'), '02');
+		// Midnight moves with the offset: 22:30 UTC is the next day in summer, not in winter
+		assert.strictEqual(formatDateKey(new Date('2025-07-01T22:30:00Z'), 'Europe/Berlin'), '2025-07-02');
+		assert.strictEqual(formatDateKey(new Date('2025-01-01T22:30:00Z'), 'Europe/Berlin'), '2025-01-01');
+		// America/New_York springs forward on 2025-03-09
+		assert.strictEqual(formatDateKey(new Date('2025-03-09T04:30:00Z'), 'America/New_York'), '2025-03-08');
+		assert.strictEqual(formatDateKey(new Date('2025-03-10T03:30:00Z'), 'America/New_York'), '2025-03-09');
+	});
+
+	test('A late-night line lands on different days on either side of the date line', () => {
+		// Written at 23:30 in California (UTC-7 in September)
+		const instant = parseLogTime('2025-09-04 23:30:00.000-07:00');
+
+		assert.strictEqual(formatDateKey(instant, 'America/Los_Angeles'), '2025-09-04');
+		assert.strictEqual(formatDateKey(instant, 'UTC'), '2025-09-05');
+		assert.strictEqual(formatHourKey(instant, 'UTC'), '06');
+		// UTC+14: already the evening of the next day
+		assert.strictEqual(formatDateKey(instant, 'Pacific/Kiritimati'), '2025-09-05');
+		assert.strictEqual(formatHourKey(instant, 'Pacific/Kiritimati'), '20');
+		// UTC-11: still the previous evening
+		assert.strictEqual(formatDateKey(instant, 'Pacific/Pago_Pago'), '2025-09-04');
+		assert.strictEqual(formatHourKey(instant, 'Pacific/Pago_Pago'), '19');
+	});
+
+	test('dateFromKey gives noon of the day in the zone, also on DST days', () => {
+		assert.strictEqual(dateFromKey('2025-03-29', 'Europe/Berlin').toISOString(), '2025-03-29T11:00:00.000Z');
+		assert.strictEqual(dateFromKey('2025-03-30', 'Europe/Berlin').toISOString(), '2025-03-30T10:00:00.000Z');
+		assert.strictEqual(dateFromKey('2025-09-05', 'Pacific/Kiritimati').toISOString(), '2025-09-04T22:00:00.000Z');
+		assert.strictEqual(dateFromKey('2025-09-05', 'UTC').toISOString(), '2025-09-05T12:00:00.000Z');
+
+		for (const timeZone of ['local', 'UTC', 'Europe/Berlin', 'America/New_York', 'Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+			for (const key of ['2025-03-09', '2025-03-30', '2025-10-26', '2025-11-02', '2025-12-31']) {
+				assert.strictEqual(formatDateKey(dateFromKey(key, timeZone), timeZone), key, `${key} in ${timeZone}`);
+			}
+		}
+	});
+
+	test('Day arithmetic on keys rolls over months, years and leap days', () => {
+		assert.strictEqual(addDaysToKey('2025-12-31', 1), '2026-01-01');
+		assert.strictEqual(addDaysToKey('2024-02-28', 1), '2024-02-29');
+		assert.strictEqual(addDaysToKey('2025-02-28', 1), '2025-03-01');
+		assert.strictEqual(addDaysToKey('2025-03-01', -1), '2025-02-28');
+		// A DST day is still one calendar day
+		assert.strictEqual(addDaysToKey('2025-03-29', 2), '2025-03-31');
+
+		assert.strictEqual(isDateKey('2024-02-29'), true);
+		assert.strictEqual(isDateKey('2025-02-29'), false);
+		assert.strictEqual(isDateKey('2025-9-4'), false);
+	});
+
+	test('The timeZone setting falls back to local time when it is not a known zone', async () => {
+		assert.strictEqual(isValidTimeZone('Europe/Berlin'), true);
+		assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+
+		await updateSettings({ timeZone: 'Europe/Berlin' });
+		assert.strictEqual(getConfiguredTimeZone(), 'Europe/Berlin');
+		await updateSettings({ timeZone: 'Mars/Olympus_Mons' });
+		assert.strictEqual(getConfiguredTimeZone(), 'local');
+
+		assert.strictEqual(resolveTimeZoneName('UTC'), 'UTC');
+		assert.ok(isValidTimeZone(resolveTimeZoneName('local')));
+	});
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseSegments } = require('../src/parse-worker');
+const { appendEventsToNDJSON, getEventsDirectory } = require('../src/saver');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	completionLine
+} = require('./test-utils');
+
+const DATE = '2025-09-04';
+
+suite('Event Log Test Suite', () => {
+	let logsDir;
+	let sourceDir;
+	let logFile;
+
+	/**
+	 * Records of the log from a byte offset, as one collection parses them
+	 */
+	function parseFrom(offset) {
+		const [result] = parseSegments([{ file: logFile, sourceId: 'source-1', offset, includePartialLine: false }], { timeZone: 'local' });
+		return result.records;
+	}
+
+	function readEvents() {
+		const lines = fs.readFileSync(path.join(getEventsDirectory(), `events_${DATE}.ndjson`), 'utf8').split('\n').filter(Boolean);
+		// The first line is the schema header
+		return lines.slice(1).map(line => JSON.parse(line));
+	}
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-source-'));
+		logFile = path.join(sourceDir, 'GitHub Copilot.log');
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100) + completionLine(`${DATE} 10:01:00.000`, 200));
+	});
+
+	teardown(async () => {
+		await removeTempLogDirectory(logsDir);
+		fs.rmSync(sourceDir, { recursive: true, force: true });
+	});
+
+	test('Appending the same segment twice writes its events once', () => {
+		const records = parseFrom(0);
+
+		assert.strictEqual(appendEventsToNDJSON(records), 2);
+		assert.strictEqual(appendEventsToNDJSON(records), 0);
+
+		const events = readEvents();
+		assert.strictEqual(events.length, 2);
+		assert.deepStrictEqual(events.map(event => event.id), ['source-1:0', `source-1:${completionLine(`${DATE} 10:00:00.000`, 100).length}`]);
+	});
+
+	test('Re-parsing a range that overlaps written events adds only the new lines', () => {
+		appendEventsToNDJSON(parseFrom(0));
+		fs.appendFileSync(logFile, completionLine(`${DATE} 10:02:00.000`, 300));
+
+		// A forced re-collect reads the whole log again as one longer segment
+		assert.strictEqual(appendEventsToNDJSON(parseFrom(0)), 1);
+
+		assert.deepStrictEqual(readEvents().map(event => event.responseTimeMs), [100, 200, 300]);
+	});
+
+	test('Identical lines at different offsets are separate events', () => {
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100).repeat(2));
+
+		assert.strictEqual(appendEventsToNDJSON(parseFrom(0)), 2);
+		assert.strictEqual(readEvents().length, 2);
+	});
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const CopilotParser = require('../src/parser');
+const { EXPORT_COLUMNS, exportMetrics, serializeRows } = require('../src/exporter');
+const { saveMetricsToJSON } = require('../src/saver');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	completionLine
+} = require('./test-utils');
+
+const DATE = '2025-09-04';
+
+suite('Exporter Test Suite', () => {
+	let logsDir;
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+	});
+
+	teardown(async () => {
+		await removeTempLogDirectory(logsDir);
+	});
+
+	test('Columns keep their published order', () => {
+		assert.deepStrictEqual(EXPORT_COLUMNS, [
+			'date', 'source', 'servedBy', 'action', 'numRequests',
+			'outcome_success', 'outcome_failed', 'outcome_cancelled', 'outcome_rateLimited', 'outcome_filtered', 'outcome_timeout',
+			'latency_count', 'latency_total_ms', 'latency_mean_ms', 'latency_min_ms', 'latency_max_ms',
+			'latency_p50_ms', 'latency_p90_ms', 'latency_p99_ms',
+			'name', 'company', 'team', 'ide', 'session_count'
+		]);
+	});
+
+	test('CSV fields with quotes, commas or line breaks are quoted (RFC 4180)', async () => {
+		const parser = new CopilotParser(null, 'local');
+		const records = [100, 300].map((ms, i) => parser.parseCopilotLine(completionLine(`${DATE} 10:0${i}:00.000`, ms).trimEnd()));
+		records.forEach(record => Object.assign(record, { name: 'Jane', company: 'Acme, Inc.', team: 'R&D "Platform"\nEU' }));
+		await saveMetricsToJSON(CopilotParser.aggregate(records));
+		const outputPath = path.join(logsDir, 'exports', 'metrics.csv');
+
+		const rowCount = exportMetrics({}, DATE, DATE, 'CSV', outputPath);
+
+		const csv = fs.readFileSync(outputPath, 'utf8');
+		assert.strictEqual(rowCount, 1);
+		assert.ok(csv.startsWith(`${EXPORT_COLUMNS.join(',')}\r\n`));
+		assert.ok(csv.endsWith('\r\n'));
+		const row = csv.substring(csv.indexOf('\r\n') + 2);
+		assert.ok(row.startsWith(`${DATE},copilot,proxy.business.githubcopilot.com/gpt-41-copilot,completion,2,2,0,0,0,0,0,2,400,200,100,300,`), row);
+		assert.ok(row.includes(',Jane,"Acme, Inc.","R&D ""Platform""\nEU",Visual Studio Code,\r\n'), row);
+	});
+
+	test('Missing values are empty in CSV and null in JSON formats', () => {
+		const row = Object.fromEntries(EXPORT_COLUMNS.map(column => [column, null]));
+		row.date = DATE;
+
+		assert.strictEqual(serializeRows([row], 'CSV').split('\r\n')[1], DATE + ','.repeat(EXPORT_COLUMNS.length - 1));
+		assert.deepStrictEqual(JSON.parse(serializeRows([row], 'NDJSON')), row);
+		assert.deepStrictEqual(JSON.parse(serializeRows([row], 'JSON')), [row]);
+		assert.strictEqual(serializeRows([], 'NDJSON'), '');
+	});
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readLock, removeStaleLock, tryAcquireLock } = require('../src/file-lock');
+
+const STALE_MS = 60 * 1000;
+
+suite('File Lock Test Suite', () => {
+	let dir;
+	let lockFile;
+
+	/**
+	 * Write a lock as another window would, last refreshed ageMs ago
+	 */
+	function writeLock(holder, ageMs = 0) {
+		fs.writeFileSync(lockFile, JSON.stringify({ hostname: 'other-machine', ...holder }));
+		const refreshed = new Date(Date.now() - ageMs);
+		fs.utimesSync(lockFile, refreshed, refreshed);
+	}
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-lock-'));
+		lockFile = path.join(dir, 'state.lock');
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('A live lock is not taken', () => {
+		writeLock({ pid: 1, acquiredAt: 1 });
+
+		const attempt = tryAcquireLock(lockFile, STALE_MS);
+
+		assert.strictEqual(attempt.acquired, false);
+		assert.strictEqual(attempt.holder.pid, 1);
+	});
+
+	test('A stale lock is taken over without leaving tombstones behind', () => {
+		writeLock({ pid: 1, acquiredAt: 1 }, 2 * STALE_MS);
+
+		const attempt = tryAcquireLock(lockFile, STALE_MS);
+
+		assert.strictEqual(attempt.acquired, true);
+		assert.strictEqual(readLock(lockFile).pid, process.pid);
+		assert.deepStrictEqual(fs.readdirSync(dir), ['state.lock']);
+	});
+
+	test('A lock another window took over after the stale one was seen is left alone', () => {
+		writeLock({ pid: 1, acquiredAt: 1 }, 2 * STALE_MS);
+		const seenStale = readLock(lockFile);
+
+		// Another window removes the stale lock and takes it before we get to it
+		fs.unlinkSync(lockFile);
+		writeLock({ pid: 2, acquiredAt: Date.now() });
+
+		assert.strictEqual(removeStaleLock(lockFile, seenStale, STALE_MS), false);
+		assert.strictEqual(readLock(lockFile).pid, 2);
+		assert.deepStrictEqual(fs.readdirSync(dir), ['state.lock']);
+		assert.strictEqual(tryAcquireLock(lockFile, STALE_MS).acquired, false);
+	});
+
+	test('Only one of two windows that saw the same stale lock removes it', () => {
+		writeLock({ pid: 1, acquiredAt: 1 }, 2 * STALE_MS);
+		const seenByFirst = readLock(lockFile);
+		const seenBySecond = readLock(lockFile);
+
+		assert.strictEqual(removeStaleLock(lockFile, seenByFirst, STALE_MS), true);
+		assert.strictEqual(removeStaleLock(lockFile, seenBySecond, STALE_MS), false);
+
+		assert.strictEqual(tryAcquireLock(lockFile, STALE_MS).acquired, true);
+		assert.strictEqual(readLock(lockFile).pid, process.pid);
+	});
+});
@@ -0,0 +1,84 @@
+const assert = require('assert');
+
+const { createLatencyStats, addLatencySample, mergeLatencyStats, summarizeLatency } = require('../src/latency');
+
+/**
+ * Raw stats holding the given samples
+ */
+function statsOf(samples) {
+	const stats = createLatencyStats();
+	samples.forEach(ms => addLatencySample(stats, ms));
+	return stats;
+}
+
+function range(from, to) {
+	return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+suite('Latency Test Suite', () => {
+	test('Samples go to the first bucket whose upper bound they do not exceed', () => {
+		const stats = statsOf([0, 50, 50.1, 100, 120000, 120001, 500000]);
+
+		assert.deepStrictEqual(stats.histogram, { 50: 2, 100: 2, 120000: 1, Infinity: 2 });
+		assert.strictEqual(stats.count, 7);
+		assert.strictEqual(stats.minMs, 0);
+		assert.strictEqual(stats.maxMs, 500000);
+	});
+
+	test('Samples that are not a duration are ignored', () => {
+		const stats = statsOf([null, undefined, NaN, Infinity, -1, '100']);
+
+		assert.deepStrictEqual(stats, createLatencyStats());
+		assert.deepStrictEqual(summarizeLatency(stats), {
+			count: 0, totalMs: 0, meanMs: null, minMs: null, maxMs: null, p50Ms: null, p90Ms: null, p99Ms: null, histogram: {}
+		});
+	});
+
+	test('Percentiles of a uniform distribution are estimated exactly', () => {
+		const summary = summarizeLatency(statsOf(range(1, 100)));
+
+		assert.strictEqual(summary.count, 100);
+		assert.strictEqual(summary.totalMs, 5050);
+		assert.strictEqual(summary.meanMs, 50.5);
+		assert.strictEqual(summary.p50Ms, 50);
+		assert.strictEqual(summary.p90Ms, 90);
+		assert.strictEqual(summary.p99Ms, 99);
+	});
+
+	test('Percentiles are interpolated inside buckets and up to the maximum in the overflow bucket', () => {
+		// 90 fast requests and 10 that took minutes
+		const summary = summarizeLatency(statsOf([...Array(90).fill(220), ...Array(10).fill(180000)]));
+
+		// Interpolated inside the 200-300ms bucket
+		assert.strictEqual(summary.p50Ms, 255.56);
+		assert.strictEqual(summary.p90Ms, 300);
+		// Interpolated between the last bound (120s) and the maximum
+		assert.strictEqual(summary.p99Ms, 174000);
+
+		// A single sample is clamped to itself, not spread over its bucket
+		assert.deepStrictEqual(summarizeLatency(statsOf([1234])), {
+			count: 1, totalMs: 1234, meanMs: 1234, minMs: 1234, maxMs: 1234, p50Ms: 1234, p90Ms: 1234, p99Ms: 1234, histogram: { 1500: 1 }
+		});
+	});
+
+	test('Merged batches give the percentiles of all their samples', () => {
+		const slowHalf = statsOf(range(51, 100));
+		const fastHalf = statsOf(range(1, 50));
+
+		// Stats are merged in their persisted (summarized) form across collections
+		const merged = summarizeLatency(mergeLatencyStats(summarizeLatency(slowHalf), summarizeLatency(fastHalf)));
+
+		assert.deepStrictEqual(merged, summarizeLatency(statsOf(range(1, 100))));
+		assert.strictEqual(merged.minMs, 1);
+		assert.strictEqual(merged.maxMs, 100);
+		assert.strictEqual(merged.p90Ms, 90);
+	});
+
+	test('Merging with missing or empty stats keeps the other side', () => {
+		const stats = statsOf([100, 200, 300]);
+
+		assert.deepStrictEqual(mergeLatencyStats(stats, null), stats);
+		assert.deepStrictEqual(mergeLatencyStats(createLatencyStats(), stats), stats);
+		assert.deepStrictEqual(mergeLatencyStats(undefined, undefined), createLatencyStats());
+	});
+});
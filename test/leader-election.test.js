@@ -0,0 +1,174 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const LeaderElection = require('../src/leader-election');
+const { createOutputChannel } = require('./test-utils');
+
+// Older than the 30 s leader timeout
+const EXPIRED_MS = 60 * 1000;
+
+suite('Leader Election Test Suite', () => {
+	let dir;
+	let windows;
+
+	/**
+	 * One window's election, recording its role changes and the leader status
+	 * and collections it is shown
+	 */
+	function openWindow() {
+		const roles = [];
+		const statuses = [];
+		const collections = [];
+		const election = new LeaderElection({ getStateStoragePath: () => dir }, createOutputChannel(), {
+			onRoleChange: isLeader => roles.push(isLeader),
+			onLeaderStatus: status => statuses.push(status),
+			onLeaderCollected: collectedAt => collections.push(collectedAt)
+		});
+		windows.push(election);
+		return { election, roles, statuses, collections };
+	}
+
+	function heartbeatFile() {
+		return path.join(dir, 'leader.json');
+	}
+
+	function readHeartbeat() {
+		return JSON.parse(fs.readFileSync(heartbeatFile(), 'utf8'));
+	}
+
+	/**
+	 * Make the current leader look as if it stopped sending heartbeats
+	 */
+	function expireHeartbeat() {
+		fs.writeFileSync(heartbeatFile(), JSON.stringify({ ...readHeartbeat(), heartbeatAt: Date.now() - EXPIRED_MS }));
+	}
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-leader-'));
+		windows = [];
+	});
+
+	teardown(() => {
+		windows.forEach(election => election.dispose());
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('The first window becomes leader and the next one follows it', () => {
+		const first = openWindow();
+		const second = openWindow();
+
+		first.election.tick();
+		first.election.shareHealthStatus({ healthy: true, issues: [], warnings: [], timestamp: 't' });
+		second.election.tick();
+
+		assert.deepStrictEqual(first.roles, [true]);
+		assert.deepStrictEqual(second.roles, [false]);
+		assert.strictEqual(readHeartbeat().windowId, first.election.windowId);
+		assert.strictEqual(second.statuses[0].healthy, true);
+	});
+
+	test('The leader refreshes its heartbeat on every check', () => {
+		const first = openWindow();
+		first.election.tick();
+		expireHeartbeat();
+
+		first.election.tick();
+
+		assert.ok(Date.now() - readHeartbeat().heartbeatAt < EXPIRED_MS);
+		assert.deepStrictEqual(first.roles, [true]);
+	});
+
+	test('A follower takes over when the heartbeat expires, and the old leader steps down', () => {
+		const first = openWindow();
+		const second = openWindow();
+		first.election.tick();
+		second.election.tick();
+
+		expireHeartbeat();
+		second.election.tick();
+		first.election.tick();
+
+		assert.deepStrictEqual(second.roles, [false, true]);
+		assert.deepStrictEqual(first.roles, [true, false]);
+		assert.strictEqual(readHeartbeat().windowId, second.election.windowId);
+	});
+
+	test('A leader.json left by a window that no longer runs is taken over', () => {
+		// The pid of a process that has already exited
+		const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+		fs.writeFileSync(heartbeatFile(), JSON.stringify({
+			windowId: 'crashed-window',
+			pid: deadPid,
+			hostname: os.hostname(),
+			heartbeatAt: Date.now()
+		}));
+		const window = openWindow();
+
+		window.election.tick();
+
+		assert.deepStrictEqual(window.roles, [true]);
+		assert.strictEqual(readHeartbeat().windowId, window.election.windowId);
+	});
+
+	test('No window claims while another holds the claim lock', () => {
+		const first = openWindow();
+		const second = openWindow();
+		first.election.tick();
+		expireHeartbeat();
+
+		// Another window is in the middle of claiming
+		const lockFile = path.join(dir, 'leader.lock');
+		fs.writeFileSync(lockFile, JSON.stringify({ pid: 1, hostname: 'other-machine', acquiredAt: Date.now() }));
+		second.election.tick();
+		assert.deepStrictEqual(second.roles, []);
+		assert.strictEqual(readHeartbeat().windowId, first.election.windowId);
+
+		// A claim lock abandoned for longer than the leader timeout no longer blocks
+		const abandoned = new Date(Date.now() - EXPIRED_MS);
+		fs.utimesSync(lockFile, abandoned, abandoned);
+		second.election.tick();
+		assert.deepStrictEqual(second.roles, [true]);
+		assert.ok(!fs.existsSync(lockFile));
+	});
+
+	test('Followers are told once about each collection by the leader', () => {
+		const first = openWindow();
+		const second = openWindow();
+		first.election.tick();
+		second.election.tick();
+		assert.deepStrictEqual(second.collections, []);
+
+		first.election.shareCollection(1000);
+		second.election.tick();
+		second.election.tick();
+		assert.deepStrictEqual(second.collections, [1000]);
+
+		// Survives heartbeats written in between
+		first.election.tick();
+		first.election.shareCollection(2000);
+		first.election.tick();
+		second.election.tick();
+		assert.deepStrictEqual(second.collections, [1000, 2000]);
+
+		// A follower has nothing to share
+		second.election.shareCollection(3000);
+		assert.strictEqual(readHeartbeat().collectedAt, 2000);
+		assert.deepStrictEqual(first.collections, []);
+	});
+
+	test('Closing the leader hands over at the next check', () => {
+		const first = openWindow();
+		const second = openWindow();
+		first.election.tick();
+		second.election.tick();
+
+		first.election.dispose();
+		assert.ok(!fs.existsSync(heartbeatFile()));
+		second.election.tick();
+
+		assert.deepStrictEqual(second.roles, [false, true]);
+	});
+});
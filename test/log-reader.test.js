@@ -0,0 +1,213 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { reconcileFileIdentities, forEachNewLine } = require('../src/log-reader');
+const { completionLine } = require('./test-utils');
+
+// forEachNewLine reads 1 MB at a time
+const CHUNK_BYTES = 1024 * 1024;
+
+const LINES = [
+	completionLine('2025-09-04 10:00:00.000', 100),
+	completionLine('2025-09-04 10:01:00.000', 200),
+	completionLine('2025-09-04 10:02:00.000', 300)
+];
+
+suite('Log Reader Test Suite', () => {
+	let dir;
+	let logFile;
+	let parsingState;
+
+	/**
+	 * Track logFile as fully read, the way a collection leaves it
+	 */
+	function trackFullyRead() {
+		reconcileFileIdentities([logFile], parsingState);
+		parsingState.processedFiles[logFile] = fs.statSync(logFile).size;
+		return { ...parsingState.fileIdentities[logFile] };
+	}
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-reader-'));
+		logFile = path.join(dir, 'GitHub Copilot.log');
+		parsingState = { processedFiles: {}, fileIdentities: {} };
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('A grown file keeps its offset and source id', () => {
+		fs.writeFileSync(logFile, LINES[0] + LINES[1]);
+		const before = trackFullyRead();
+		const offset = parsingState.processedFiles[logFile];
+
+		fs.appendFileSync(logFile, LINES[2]);
+		const notes = reconcileFileIdentities([logFile], parsingState);
+
+		assert.deepStrictEqual(notes, []);
+		assert.strictEqual(parsingState.processedFiles[logFile], offset);
+		assert.strictEqual(parsingState.fileIdentities[logFile].sourceId, before.sourceId);
+	});
+
+	test('A new file (new inode) at the same path is read from the start under a new source id', () => {
+		fs.writeFileSync(logFile, LINES[0] + LINES[1]);
+		const before = trackFullyRead();
+
+		// Keep the old inode alive so the new file can't reuse it
+		fs.renameSync(logFile, path.join(dir, 'kept-open.tmp'));
+		fs.writeFileSync(logFile, LINES[2] + LINES[1] + LINES[0]);
+		const notes = reconcileFileIdentities([logFile], parsingState);
+
+		const after = parsingState.fileIdentities[logFile];
+		assert.notStrictEqual(after.ino, before.ino);
+		assert.strictEqual(parsingState.processedFiles[logFile], 0);
+		assert.strictEqual(after.generation, 1);
+		assert.notStrictEqual(after.sourceId, before.sourceId);
+		assert.ok(notes.some(note => note.includes('was replaced')), notes.join('; '));
+		// The old content is remembered in case it turns up under a rotated name
+		assert.strictEqual(parsingState.rotatedFiles.length, 1);
+	});
+
+	test('A file truncated in place is read from the start under a new source id', () => {
+		fs.writeFileSync(logFile, LINES.join(''));
+		const before = trackFullyRead();
+
+		fs.truncateSync(logFile, LINES[0].length);
+		const notes = reconcileFileIdentities([logFile], parsingState);
+
+		const after = parsingState.fileIdentities[logFile];
+		assert.strictEqual(after.ino, before.ino);
+		assert.strictEqual(parsingState.processedFiles[logFile], 0);
+		assert.notStrictEqual(after.sourceId, before.sourceId);
+		assert.ok(notes.some(note => note.includes('was truncated')), notes.join('; '));
+	});
+
+	test('A rotated (renamed) file resumes where the original stopped', () => {
+		fs.writeFileSync(logFile, LINES[0] + LINES[1]);
+		const before = trackFullyRead();
+		const offset = parsingState.processedFiles[logFile];
+
+		const rotatedFile = `${logFile}.1`;
+		fs.renameSync(logFile, rotatedFile);
+		fs.appendFileSync(rotatedFile, LINES[2]);
+		fs.writeFileSync(logFile, completionLine('2025-09-04 11:00:00.000', 400));
+		const notes = reconcileFileIdentities([logFile, rotatedFile], parsingState);
+
+		assert.strictEqual(parsingState.processedFiles[rotatedFile], offset);
+		assert.strictEqual(parsingState.fileIdentities[rotatedFile].sourceId, before.sourceId);
+		assert.strictEqual(parsingState.processedFiles[logFile], 0);
+		assert.notStrictEqual(parsingState.fileIdentities[logFile].sourceId, before.sourceId);
+		assert.ok(notes.some(note => note.includes('was rotated to GitHub Copilot.log.1')), notes.join('; '));
+	});
+
+	test('A rotated file found in a later run resumes from the retired identity', () => {
+		fs.writeFileSync(logFile, LINES[0] + LINES[1]);
+		const before = trackFullyRead();
+		const offset = parsingState.processedFiles[logFile];
+
+		// This run only sees the new file at the old path
+		const rotatedFile = path.join(dir, 'GitHub Copilot.old');
+		fs.renameSync(logFile, rotatedFile);
+		fs.writeFileSync(logFile, completionLine('2025-09-04 11:00:00.000', 400));
+		reconcileFileIdentities([logFile], parsingState);
+
+		reconcileFileIdentities([logFile, rotatedFile], parsingState);
+
+		assert.strictEqual(parsingState.processedFiles[rotatedFile], offset);
+		assert.strictEqual(parsingState.fileIdentities[rotatedFile].sourceId, before.sourceId);
+		assert.strictEqual(parsingState.rotatedFiles.length, 0);
+	});
+
+	test('A character offset from an older version is converted to bytes, across chunks', () => {
+		// The old offset ends right after a "€" whose bytes straddle the first chunk boundary
+		const filler = 'x'.repeat(CHUNK_BYTES - 8) + '\n';
+		const parsed = `${filler}abcdef€ und Köln\n`;
+		fs.writeFileSync(logFile, parsed + 'noch nicht gelesen\n');
+		parsingState.processedFiles[logFile] = (filler + 'abcdef€').length;
+
+		reconcileFileIdentities([logFile], parsingState);
+		assert.strictEqual(parsingState.processedFiles[logFile], Buffer.byteLength(filler + 'abcdef€', 'utf8'));
+
+		// Past the end it stops at the file size
+		parsingState = { processedFiles: { [logFile]: parsed.length + 1000 }, fileIdentities: {} };
+		reconcileFileIdentities([logFile], parsingState);
+		assert.strictEqual(parsingState.processedFiles[logFile], fs.statSync(logFile).size);
+	});
+});
+
+suite('Log Streaming Test Suite', () => {
+	let dir;
+	let logFile;
+
+	/**
+	 * Lines and their byte offsets from forEachNewLine, plus the next offset
+	 */
+	function readLines(offset = 0, includePartialLine = false) {
+		const lines = [];
+		const next = forEachNewLine(logFile, offset, includePartialLine, (line, lineOffset) => lines.push({ line, lineOffset }));
+		return { lines, next };
+	}
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-stream-'));
+		logFile = path.join(dir, 'GitHub Copilot.log');
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('An unfinished last line is left for the next read', () => {
+		fs.writeFileSync(logFile, 'first\nsecond, still being wri');
+		const firstRead = readLines();
+		assert.deepStrictEqual(firstRead.lines.map(l => l.line), ['first']);
+		assert.strictEqual(firstRead.next, 'first\n'.length);
+
+		fs.appendFileSync(logFile, 'tten\nthird\n');
+		const secondRead = readLines(firstRead.next);
+		assert.deepStrictEqual(secondRead.lines.map(l => l.line), ['second, still being written', 'third']);
+		assert.strictEqual(secondRead.next, fs.statSync(logFile).size);
+	});
+
+	test('A rotated file can include its unfinished last line', () => {
+		fs.writeFileSync(logFile, 'first\nlast without newline');
+		const { lines, next } = readLines(0, true);
+		assert.deepStrictEqual(lines.map(l => l.line), ['first', 'last without newline']);
+		assert.strictEqual(next, fs.statSync(logFile).size);
+	});
+
+	test('A line crossing a chunk boundary is read whole, with its byte offset', () => {
+		const filler = 'x'.repeat(CHUNK_BYTES - 10) + '\n';
+		const crossing = 'crossing the 1 MB boundary';
+		fs.writeFileSync(logFile, filler + crossing + '\ntail\n');
+
+		const { lines } = readLines();
+		assert.deepStrictEqual(lines.map(l => l.line.length), [filler.length - 1, crossing.length, 4]);
+		assert.strictEqual(lines[1].line, crossing);
+		assert.strictEqual(lines[1].lineOffset, filler.length);
+		assert.strictEqual(lines[2].lineOffset, filler.length + crossing.length + 1);
+	});
+
+	test('A multi-byte character split across chunks is decoded intact', () => {
+		// "€" is 3 bytes in UTF-8; its first byte is the last byte of the first chunk
+		const filler = 'x'.repeat(CHUNK_BYTES - 8) + '\n';
+		const text = 'abcdef€ and é ü ✓';
+		assert.strictEqual(Buffer.byteLength(filler + 'abcdef', 'utf8'), CHUNK_BYTES - 1);
+		fs.writeFileSync(logFile, filler + text + '\n');
+
+		const { lines, next } = readLines();
+		assert.strictEqual(lines[1].line, text);
+		assert.strictEqual(next, Buffer.byteLength(filler + text + '\n', 'utf8'));
+	});
+
+	test('A read resumes at an offset inside a multi-byte file', () => {
+		const first = 'Grüße aus Köln\n';
+		fs.writeFileSync(logFile, first + 'zweite Zeile\n');
+
+		const { lines } = readLines(Buffer.byteLength(first, 'utf8'));
+		assert.deepStrictEqual(lines.map(l => l.line), ['zweite Zeile']);
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+
+const LogWatcher = require('../src/log-watcher');
+const { createOutputChannel } = require('./test-utils');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Collector stand-in recording the files of each watch-mode collection
+ */
+function createCollector() {
+	const batches = [];
+	return {
+		batches,
+		collectWatchedFiles: async files => {
+			batches.push({ files, at: Date.now() });
+			return { totalRecords: files.length };
+		}
+	};
+}
+
+suite('Log Watcher Test Suite', () => {
+	let watcher;
+
+	teardown(() => {
+		watcher.dispose();
+	});
+
+	test('Changes are collected once after a quiet period', async () => {
+		const collector = createCollector();
+		watcher = new LogWatcher(collector, createOutputChannel(), { debounceMs: 30 });
+
+		watcher.schedule('/logs/GitHub Copilot.log');
+		await sleep(10);
+		watcher.schedule('/logs/GitHub Copilot Chat.log');
+		await sleep(80);
+
+		assert.strictEqual(collector.batches.length, 1);
+		assert.deepStrictEqual(collector.batches[0].files.sort(), ['/logs/GitHub Copilot Chat.log', '/logs/GitHub Copilot.log']);
+	});
+
+	test('A log written without pause is still collected after maxWait', async () => {
+		const collector = createCollector();
+		watcher = new LogWatcher(collector, createOutputChannel(), { debounceMs: 30, maxWaitMs: 100 });
+
+		const start = Date.now();
+		while (Date.now() - start < 350) {
+			watcher.schedule('/logs/GitHub Copilot Chat.log');
+			await sleep(10);
+		}
+
+		assert.ok(collector.batches.length >= 2, `collected ${collector.batches.length} time(s)`);
+		assert.ok(collector.batches[0].at - start < 200, 'first change waited past maxWait');
+	});
+
+	test('Stopping drops queued changes', async () => {
+		const collector = createCollector();
+		watcher = new LogWatcher(collector, createOutputChannel(), { debounceMs: 20 });
+
+		watcher.schedule('/logs/GitHub Copilot.log');
+		watcher.stop();
+		await sleep(50);
+
+		assert.strictEqual(collector.batches.length, 0);
+	});
+});
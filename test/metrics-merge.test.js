@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const CopilotParser = require('../src/parser');
+const LogCollector = require('../src/collector');
+const { saveMetricsToJSON, readMetricsFile } = require('../src/saver');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel,
+	createStateManager,
+	completionLine
+} = require('./test-utils');
+
+const DATE = '2025-09-04';
+
+/**
+ * Aggregate completion records as if they were read from one byte range of a log
+ */
+function aggregateSegment(file, start, end, durations) {
+	const parser = new CopilotParser(null, 'local');
+	const segment = { file, start, end };
+	const records = durations.map(duration => ({
+		...parser.parseCopilotLine(completionLine(`${DATE} 10:00:00.000`, duration).trim()),
+		segment
+	}));
+	return CopilotParser.aggregate(records);
+}
+
+suite('Metrics Merge Test Suite', () => {
+	let logsDir;
+	let metricsFile;
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		await updateSettings({ timeZone: 'local' });
+		metricsFile = path.join(logsDir, 'metrics', `metrics_${DATE}.json`);
+	});
+
+	teardown(async () => {
+		await updateSettings({ timeZone: undefined });
+		await removeTempLogDirectory(logsDir);
+	});
+
+	test('The same segment saved twice is counted once', async () => {
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 300, [100, 200]));
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 300, [100, 200]));
+
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 2);
+		assert.strictEqual(entry.latency.count, 2);
+		assert.strictEqual(entry.contributions.length, 1);
+	});
+
+	test('A segment re-read from the same start with a grown end replaces the shorter one', async () => {
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 300, [100, 200]));
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 450, [100, 200, 300]));
+
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 3);
+		assert.deepStrictEqual(entry.contributions.map(c => [c.start, c.end]), [[0, 450]]);
+	});
+
+	test('Adjacent segments add up and are coalesced', async () => {
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 300, [100, 200]));
+		await saveMetricsToJSON(aggregateSegment('source-a', 300, 450, [300]));
+		await saveMetricsToJSON(aggregateSegment('source-b', 0, 150, [400]));
+
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 4);
+		assert.deepStrictEqual(entry.contributions.map(c => [c.file, c.start, c.end]), [['source-a', 0, 450], ['source-b', 0, 150]]);
+	});
+
+	test('An overlapping segment replaces the ranges it overlaps', async () => {
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 300, [100, 200]));
+		await saveMetricsToJSON(aggregateSegment('source-a', 150, 450, [200, 300]));
+
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 2);
+		assert.deepStrictEqual(entry.contributions.map(c => [c.start, c.end]), [[150, 450]]);
+	});
+
+	test('Entries without contributions are kept next to tracked ones', async () => {
+		fs.mkdirSync(path.dirname(metricsFile), { recursive: true });
+		const legacy = Object.values(aggregateSegment('source-a', 0, 300, [100]))[0];
+		delete legacy.contributions;
+		fs.writeFileSync(metricsFile, JSON.stringify([legacy]));
+
+		await saveMetricsToJSON(aggregateSegment('source-a', 0, 300, [100, 200]));
+
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 3);
+	});
+
+	test('A forced re-collect does not count a log twice', async () => {
+		const logFile = path.join(logsDir, 'GitHub Copilot.log');
+		const collector = new LogCollector(createStateManager(), { getConfig: () => ({}) }, createOutputChannel());
+
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100) + completionLine(`${DATE} 10:01:00.000`, 200));
+		await collector.parseAndSaveMetricsDirectly([logFile], true);
+		fs.appendFileSync(logFile, completionLine(`${DATE} 10:02:00.000`, 300));
+		await collector.parseAndSaveMetricsDirectly([logFile], true);
+		assert.strictEqual(readMetricsFile(metricsFile)[0].numRequests, 3);
+
+		await collector.parseAndSaveMetricsDirectly([logFile], true, null, true);
+		await collector.parseAndSaveMetricsDirectly([logFile], true, null, true);
+
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 3);
+		assert.strictEqual(entry.latency.count, 3);
+	});
+});
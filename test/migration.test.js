@@ -0,0 +1,136 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const CopilotParser = require('../src/parser');
+const LogCollector = require('../src/collector');
+const { migrateFile, migratePersistedFiles } = require('../src/migration');
+const { SCHEMA_VERSIONS, getSchemaVersion, stampDocument } = require('../src/schema');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel,
+	createStateManager,
+	completionLine
+} = require('./test-utils');
+
+const DATE = '2025-09-04';
+const SERVED_BY = 'proxy.business.githubcopilot.com/gpt-41-copilot';
+
+/**
+ * A metric entry as version 1 wrote it: servedBy was the endpoint URL and
+ * there were no per-segment contributions
+ */
+function createVersion1Entry(url, durations) {
+	const parser = new CopilotParser(null, 'local');
+	const records = durations.map(duration => parser.parseCopilotLine(completionLine(`${DATE} 10:00:00.000`, duration).trim()));
+	const entry = { ...Object.values(CopilotParser.aggregate(records))[0], servedBy: url };
+	delete entry.contributions;
+	return entry;
+}
+
+suite('Schema Migration Test Suite', () => {
+	let logsDir;
+	let stateDir;
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		await updateSettings({ timeZone: 'local' });
+		stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-state-'));
+		fs.mkdirSync(path.join(logsDir, 'metrics'));
+		fs.mkdirSync(path.join(logsDir, 'events'));
+	});
+
+	teardown(async () => {
+		await updateSettings({ timeZone: undefined });
+		await removeTempLogDirectory(logsDir);
+		fs.rmSync(stateDir, { recursive: true, force: true });
+	});
+
+	test('Unversioned content is version 1 and stamping adds the current version', () => {
+		assert.strictEqual(getSchemaVersion([]), 1);
+		assert.strictEqual(getSchemaVersion({ lastCollection: 1 }), 1);
+
+		const stamped = stampDocument('collectionState', { schemaVersion: 1, lastCollection: 1 });
+		assert.strictEqual(stamped.schemaVersion, SCHEMA_VERSIONS.collectionState);
+		assert.strictEqual(stamped.lastCollection, 1);
+		assert.ok(stamped.meta.extensionVersion);
+	});
+
+	test('A version 1 metrics file is upgraded in place and backed up', () => {
+		const file = path.join(logsDir, 'metrics', `metrics_${DATE}.json`);
+		const original = JSON.stringify([
+			createVersion1Entry('https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions', [100, 200]),
+			createVersion1Entry('https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions?x=1', [300])
+		]);
+		fs.writeFileSync(file, original);
+
+		assert.strictEqual(migrateFile('metrics', file), 'migrated');
+
+		const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+		assert.strictEqual(document.schemaVersion, SCHEMA_VERSIONS.metrics);
+		assert.strictEqual(document.date, DATE);
+		// Both URLs name the same host and model, so their entries are added up
+		assert.strictEqual(document.metrics.length, 1);
+		assert.strictEqual(document.metrics[0].servedBy, SERVED_BY);
+		assert.strictEqual(document.metrics[0].numRequests, 3);
+		assert.strictEqual(fs.readFileSync(path.join(logsDir, 'metrics', 'backups', 'schema-v1', `metrics_${DATE}.json`), 'utf8'), original);
+
+		assert.strictEqual(migrateFile('metrics', file), 'current');
+	});
+
+	test('A version 1 events file gets a header and normalised servedBy values', () => {
+		const file = path.join(logsDir, 'events', `events_${DATE}.ndjson`);
+		const event = { id: 'source-a:0', date: DATE, servedBy: 'https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions' };
+		fs.writeFileSync(file, JSON.stringify(event) + '\n');
+
+		assert.strictEqual(migrateFile('events', file), 'migrated');
+
+		const [header, migrated] = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+		assert.strictEqual(header.schemaVersion, SCHEMA_VERSIONS.events);
+		assert.strictEqual(header.id, undefined);
+		assert.deepStrictEqual(migrated, { ...event, servedBy: SERVED_BY });
+	});
+
+	test('A file from a newer version is left untouched', () => {
+		const file = path.join(logsDir, 'metrics', `metrics_${DATE}.json`);
+		const newer = JSON.stringify({ schemaVersion: SCHEMA_VERSIONS.metrics + 1, date: DATE, metrics: [], addedLater: true });
+		fs.writeFileSync(file, newer);
+		fs.writeFileSync(path.join(stateDir, 'collection-state.json'), JSON.stringify({ lastCollection: 1 }));
+		const outputChannel = createOutputChannel();
+
+		const summary = migratePersistedFiles(stateDir, logsDir, outputChannel);
+
+		assert.deepStrictEqual(summary, { migrated: 1, failed: 0, newer: 1 });
+		assert.strictEqual(fs.readFileSync(file, 'utf8'), newer);
+		assert.ok(!fs.existsSync(path.join(logsDir, 'metrics', 'backups')));
+		assert.ok(outputChannel.lines.some(line => line.includes('newer version')), outputChannel.lines.join('\n'));
+	});
+
+	test('Collecting into a metrics file from a newer version is reported to the user', async () => {
+		const metricsFile = path.join(logsDir, 'metrics', `metrics_${DATE}.json`);
+		const newer = JSON.stringify({ schemaVersion: SCHEMA_VERSIONS.metrics + 1, date: DATE, metrics: [] });
+		fs.writeFileSync(metricsFile, newer);
+		const logFile = path.join(logsDir, 'GitHub Copilot.log');
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100));
+		const collector = new LogCollector(createStateManager(), { getConfig: () => ({}) }, createOutputChannel());
+
+		const shown = [];
+		const showErrorMessage = vscode.window.showErrorMessage;
+		vscode.window.showErrorMessage = message => { shown.push(message); };
+		try {
+			assert.strictEqual(await collector.parseAndSaveMetricsDirectly([logFile], true), null);
+			// Background runs show it once, not on every run
+			assert.strictEqual(await collector.parseAndSaveMetricsDirectly([logFile], true), null);
+		} finally {
+			vscode.window.showErrorMessage = showErrorMessage;
+		}
+
+		assert.strictEqual(shown.length, 1);
+		assert.ok(shown[0].includes(`metrics_${DATE}.json`) && shown[0].includes('newer version'), shown[0]);
+		assert.strictEqual(fs.readFileSync(metricsFile, 'utf8'), newer);
+	});
+});
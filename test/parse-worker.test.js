@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CopilotParser = require('../src/parser');
+const LogCollector = require('../src/collector');
+const { parseSegments, parseSegmentsInWorker } = require('../src/parse-worker');
+const { normalizeRedactionRules } = require('../src/redaction');
+const { createOutputChannel, createStateManager, completionLine } = require('./test-utils');
+
+suite('Parse Worker Test Suite', () => {
+	let dir;
+	let logFile;
+	let parser;
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-worker-'));
+		logFile = path.join(dir, 'GitHub Copilot.log');
+		fs.writeFileSync(logFile, completionLine('2025-09-04 10:00:00.000', 100) + completionLine('2025-09-04 10:01:00.000', 200, 429));
+		parser = new CopilotParser(null, 'UTC', normalizeRedactionRules());
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function createJob(offset = 0) {
+		return { file: logFile, offset, includePartialLine: false, sourceId: 'source-a', session: null, product: 'Visual Studio Code' };
+	}
+
+	function createOptions() {
+		return { rules: parser.rules, timeZone: 'UTC', redaction: parser.redaction, userName: 'u', company: 'c', team: 't' };
+	}
+
+	test('The worker returns the same records as an in-process parse', async () => {
+		const inWorker = await parseSegmentsInWorker([createJob()], createOptions());
+		const inProcess = parseSegments([createJob()], createOptions());
+
+		assert.deepStrictEqual(inWorker, inProcess);
+		assert.strictEqual(inWorker[0].records.length, 2);
+		assert.strictEqual(inWorker[0].end, fs.statSync(logFile).size);
+		assert.deepStrictEqual(inWorker[0].records.map(record => record.outcome), ['success', 'rateLimited']);
+	});
+
+	test('An unreadable file is reported per job instead of failing the batch', async () => {
+		const missing = { ...createJob(), file: path.join(dir, 'missing.log') };
+		const results = await parseSegmentsInWorker([missing, createJob()], createOptions());
+
+		assert.ok(results[0].error);
+		assert.strictEqual(results[1].records.length, 2);
+	});
+
+	test('Collection falls back to the main thread when the worker cannot start', async () => {
+		// A function can't be handed to a worker thread, so starting one fails
+		parser.rules = parser.rules.map(rule => ({ ...rule, describe: () => rule.id }));
+		const outputChannel = createOutputChannel();
+		const collector = new LogCollector(createStateManager(), { getConfig: () => ({}) }, outputChannel);
+		const parsingState = { processedFiles: {}, fileIdentities: {} };
+
+		const records = await collector.parseFiles([logFile], parser, parsingState, 'u', 'c', 't');
+
+		assert.strictEqual(records.length, 2);
+		assert.strictEqual(parsingState.processedFiles[logFile], fs.statSync(logFile).size);
+		assert.ok(outputChannel.lines.some(line => line.startsWith('Parse worker unavailable')), outputChannel.lines.join('\n'));
+	});
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { RULES_FILE_NAME, BUILT_IN_RULES, compileRule, loadParserRules } = require('../src/parser-rules');
+const CopilotParser = require('../src/parser');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel
+} = require('./test-utils');
+
+const CHAT_LINE = '2025-09-03 16:41:26.178 [info] ccreq:ab70e0b0.copilotmd | success | gpt-4.1 | 7006ms | [panel/unknown]';
+
+/**
+ * A chat rule that tags its records with the given source, to tell rules apart
+ */
+function chatRule(id, source) {
+	return {
+		id,
+		fileMatch: 'GitHub Copilot Chat',
+		pattern: '^(?<date>\\d{4}-\\d{2}-\\d{2}).*ccreq:\\S+ \\| (?<status>\\w+) \\| (?<model>[^|]+?) \\|',
+		fields: { date: '$date', source, served_by: '$model', action: 'chat', status: '$status' },
+		statusKind: 'chat'
+	};
+}
+
+suite('Parser Rules Test Suite', () => {
+	let logsDir;
+	let outputChannel;
+
+	function writeRulesFile(rules) {
+		fs.writeFileSync(path.join(logsDir, RULES_FILE_NAME), JSON.stringify(rules));
+	}
+
+	function ruleIds() {
+		return loadParserRules(null, outputChannel).map(rule => rule.id);
+	}
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		outputChannel = createOutputChannel();
+	});
+
+	teardown(async () => {
+		await updateSettings({ parserRules: undefined });
+		await removeTempLogDirectory(logsDir);
+	});
+
+	test('Without user rules the built-in rules are used', () => {
+		assert.deepStrictEqual(ruleIds(), BUILT_IN_RULES.map(rule => rule.id));
+	});
+
+	test('A user rule replaces the built-in rule with the same id', async () => {
+		await updateSettings({ parserRules: [chatRule('copilot-chat', 'custom-chat')] });
+
+		const rules = loadParserRules(null, outputChannel);
+		const record = new CopilotParser(rules, 'UTC').parseChatLine(CHAT_LINE);
+
+		assert.strictEqual(rules.filter(rule => rule.id === 'copilot-chat').length, 1);
+		assert.strictEqual(record.source, 'custom-chat');
+		assert.strictEqual(record.served_by, 'gpt-4.1');
+	});
+
+	test('A disabled rule is turned off', async () => {
+		await updateSettings({ parserRules: [{ id: 'copilot-chat', disabled: true }] });
+
+		assert.deepStrictEqual(ruleIds(), ['copilot-completion', 'copilot-completion-error']);
+		assert.strictEqual(new CopilotParser(loadParserRules(null, outputChannel), 'UTC').parseChatLine(CHAT_LINE), null);
+	});
+
+	test('Setting rules come before parser-rules.json, which comes before built-ins', async () => {
+		await updateSettings({ parserRules: [chatRule('shared', 'from-setting'), chatRule('setting-only', 'from-setting')] });
+		writeRulesFile([chatRule('shared', 'from-file'), chatRule('file-only', 'from-file'), chatRule('copilot-chat', 'from-file')]);
+
+		const rules = loadParserRules(null, outputChannel);
+
+		assert.deepStrictEqual(rules.map(rule => rule.id), ['shared', 'setting-only', 'file-only', 'copilot-chat', 'copilot-completion', 'copilot-completion-error']);
+		assert.strictEqual(rules[0].fields.source, 'from-setting');
+		assert.strictEqual(rules.find(rule => rule.id === 'copilot-chat').fields.source, 'from-file');
+		assert.strictEqual(new CopilotParser(rules, 'UTC').parseChatLine(CHAT_LINE).source, 'from-setting');
+	});
+
+	test('parser-rules.json may hold { "rules": [...] }; an unreadable file is reported and ignored', () => {
+		writeRulesFile({ rules: [chatRule('file-only', 'from-file')] });
+		assert.strictEqual(ruleIds()[0], 'file-only');
+
+		fs.writeFileSync(path.join(logsDir, RULES_FILE_NAME), '[{ "id": ');
+		assert.deepStrictEqual(ruleIds(), BUILT_IN_RULES.map(rule => rule.id));
+		assert.ok(outputChannel.lines.some(line => line.includes(`Error reading ${RULES_FILE_NAME}`)), outputChannel.lines.join('\n'));
+	});
+
+	test('Invalid rules are skipped and reported', async () => {
+		await updateSettings({
+			parserRules: [
+				{ ...chatRule('bad-pattern', 'x'), pattern: '(?<date>unclosed' },
+				{ ...chatRule('global', 'x'), flags: 'g' },
+				{ ...chatRule('sticky', 'x'), flags: 'iy' },
+				{ id: 'no-fields', pattern: '.*' }
+			]
+		});
+
+		assert.deepStrictEqual(ruleIds(), BUILT_IN_RULES.map(rule => rule.id));
+		for (const id of ['bad-pattern', 'global', 'sticky', 'no-fields']) {
+			assert.ok(outputChannel.lines.some(line => line.startsWith(`Skipping parser rule ${id}:`)), id);
+		}
+	});
+
+	test('Supported flags are applied to the line pattern', () => {
+		const rule = compileRule({ ...chatRule('case-insensitive', 'x'), pattern: 'CCREQ:', flags: 'i' }, outputChannel);
+
+		assert.strictEqual(rule.lineRegex.flags, 'i');
+		// Stateless: the same line matches every time
+		assert.ok(rule.lineRegex.test(CHAT_LINE));
+		assert.ok(rule.lineRegex.test(CHAT_LINE));
+	});
+});
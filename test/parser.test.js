@@ -0,0 +1,108 @@
+const assert = require('assert');
+
+const CopilotParser = require('../src/parser');
+const { createLatencyStats } = require('../src/latency');
+const { completionLine } = require('./test-utils');
+
+const ENDPOINT = 'https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions';
+
+function completionEventLine(event) {
+	return `2025-09-04 23:05:10.112 [info] [fetchCompletions] Request x at ${ENDPOINT} ${event}`;
+}
+
+function chatLine(status, duration = '7006ms') {
+	return `2025-09-03 16:41:26.178 [info] ccreq:ab70e0b0.copilotmd | ${status} | gpt-4.1 | ${duration} | [panel/unknown]`;
+}
+
+suite('Parser Test Suite', () => {
+	let parser;
+
+	setup(() => {
+		parser = new CopilotParser(null, 'UTC');
+	});
+
+	test('Completion status codes map to outcomes and keep their code', () => {
+		const cases = [[200, 'success'], [204, 'success'], [429, 'rateLimited'], [408, 'timeout'], [504, 'timeout'], [499, 'cancelled'], [500, 'failed'], [403, 'failed']];
+		for (const [status, outcome] of cases) {
+			const record = parser.parseCopilotLine(completionLine('2025-09-04 23:02:52.279', 227.3, status).trimEnd());
+
+			assert.strictEqual(record.outcome, outcome, String(status));
+			assert.strictEqual(record.status_code, status);
+			assert.strictEqual(record.rule, 'copilot-completion');
+			assert.strictEqual(record.response_time, 227.3);
+		}
+	});
+
+	test('Cancelled, failed and timed out completion requests are recorded without a status code', () => {
+		const cases = [
+			['was cancelled after 12ms', 'cancelled', 12],
+			['was canceled after 3ms', 'cancelled', 3],
+			['failed with error: socket hang up after 40ms', 'failed', 40],
+			['errored', 'failed', null],
+			['timed out after 30000ms', 'timeout', 30000]
+		];
+		for (const [event, outcome, responseTime] of cases) {
+			const record = parser.parseCopilotLine(completionEventLine(event));
+
+			assert.strictEqual(record.outcome, outcome, event);
+			assert.strictEqual(record.status_code, null, event);
+			assert.strictEqual(record.response_time, responseTime, event);
+			assert.strictEqual(record.rule, 'copilot-completion-error');
+		}
+	});
+
+	test('Chat statuses map to outcomes', () => {
+		const cases = [
+			['success', 'success'],
+			['rateLimited', 'rateLimited'],
+			['quotaExceeded', 'rateLimited'],
+			['canceled', 'cancelled'],
+			['cancelled', 'cancelled'],
+			['filtered', 'filtered'],
+			['promptFiltered', 'filtered'],
+			['offTopic', 'filtered'],
+			['timeout', 'timeout'],
+			['failed', 'failed'],
+			['networkError', 'failed']
+		];
+		for (const [status, outcome] of cases) {
+			const record = parser.parseChatLine(chatLine(status));
+
+			assert.strictEqual(record.outcome, outcome, status);
+			assert.strictEqual(record.status, status);
+			assert.strictEqual(record.status_code, null);
+			assert.strictEqual(record.action, '[panel/unknown]');
+		}
+	});
+
+	test('Outcomes and status codes are counted per entry; latency only from successful requests', () => {
+		const records = [
+			parser.parseCopilotLine(completionLine('2025-09-04 10:00:00.000', 100).trimEnd()),
+			parser.parseCopilotLine(completionLine('2025-09-04 10:01:00.000', 300).trimEnd()),
+			parser.parseCopilotLine(completionLine('2025-09-04 10:02:00.000', 5, 429).trimEnd()),
+			parser.parseCopilotLine(completionLine('2025-09-04 10:03:00.000', 9, 500).trimEnd()),
+			parser.parseCopilotLine(completionEventLine('was cancelled after 12ms').replace('2025-09-04 23:05', '2025-09-04 10:04'))
+		];
+
+		const entries = Object.values(CopilotParser.aggregate(records));
+
+		assert.strictEqual(entries.length, 1);
+		const [entry] = entries;
+		assert.strictEqual(entry.numRequests, 5);
+		assert.deepStrictEqual(entry.outcomes, { success: 2, failed: 1, cancelled: 1, rateLimited: 1, filtered: 0, timeout: 0 });
+		assert.deepStrictEqual(entry.statusCodes, { 200: 2, 429: 1, 500: 1 });
+		assert.strictEqual(entry.latency.count, 2);
+		assert.strictEqual(entry.latency.minMs, 100);
+		assert.strictEqual(entry.latency.maxMs, 300);
+	});
+
+	test('A record without an outcome counts as a success', () => {
+		const totals = { outcomes: CopilotParser.emptyOutcomes(), statusCodes: {}, latency: createLatencyStats() };
+
+		CopilotParser.countOutcome(totals, { response_time: 50, status_code: null });
+
+		assert.strictEqual(totals.outcomes.success, 1);
+		assert.deepStrictEqual(totals.statusCodes, {});
+		assert.strictEqual(totals.latency.count, 1);
+	});
+});
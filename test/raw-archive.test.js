@@ -0,0 +1,132 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LogCollector = require('../src/collector');
+const { todayKey, addDaysToKey } = require('../src/dates');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel,
+	createStateManager,
+	completionLine
+} = require('./test-utils');
+
+const SESSION = '20250904T230000';
+
+suite('Raw Log Archive Test Suite', () => {
+	let logsDir;
+	let sourceDir;
+	let logFile;
+	let stateManager;
+
+	/**
+	 * One collection's raw copy step, with state kept between runs
+	 */
+	async function copyRawLogs(files = [logFile]) {
+		const collector = new LogCollector(stateManager, { getConfig: () => ({}) }, createOutputChannel());
+		collector.initializeState();
+		const result = await collector.archiveRawLogs(files, {});
+		collector.updateCollectionState(files.filter(file => fs.existsSync(file)));
+		return result;
+	}
+
+	function readCopy(date) {
+		const copy = path.join(logsDir, date, 'Visual Studio Code', SESSION, 'GitHub Copilot.log');
+		return fs.existsSync(copy) ? fs.readFileSync(copy, 'utf8').split('\n').filter(Boolean) : [];
+	}
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		// Log timestamps are local time; bucketing them locally keeps their written day
+		await updateSettings({ rawLogArchive: true, timeZone: 'local' });
+		sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-source-'));
+		logFile = path.join(sourceDir, SESSION, 'window1', 'exthost', 'GitHub.copilot', 'GitHub Copilot.log');
+		fs.mkdirSync(path.dirname(logFile), { recursive: true });
+		stateManager = createStateManager();
+	});
+
+	teardown(async () => {
+		await updateSettings({ rawLogArchive: undefined, timeZone: undefined, rawLogRetentionDays: undefined, archiveRetentionDays: undefined });
+		await removeTempLogDirectory(logsDir);
+		fs.rmSync(sourceDir, { recursive: true, force: true });
+	});
+
+	test('Each line is copied once, to the day of its own timestamp', async () => {
+		fs.writeFileSync(logFile, [
+			completionLine('2025-09-04 23:59:00.000', 100),
+			'    at continuation of the line before\n',
+			completionLine('2025-09-05 00:01:00.000', 200)
+		].join(''));
+
+		const result = await copyRawLogs();
+
+		assert.deepStrictEqual(result.lines, { '2025-09-04': 2, '2025-09-05': 1 });
+		assert.strictEqual(readCopy('2025-09-04').length, 2);
+		assert.ok(readCopy('2025-09-04')[1].includes('continuation'));
+		assert.strictEqual(readCopy('2025-09-05').length, 1);
+		assert.ok(readCopy('2025-09-05')[0].startsWith('2025-09-05 00:01'));
+		assert.ok(fs.existsSync(path.join(logsDir, '2025-09-04_copilot_logs.tar.gz')));
+		assert.ok(fs.existsSync(path.join(logsDir, '2025-09-05_copilot_logs.tar.gz')));
+	});
+
+	test('A later run copies only the lines written since', async () => {
+		fs.writeFileSync(logFile, completionLine('2025-09-05 10:00:00.000', 100));
+		await copyRawLogs();
+		// Nothing new: nothing copied, not even an unfinished line
+		fs.appendFileSync(logFile, '2025-09-05 10:01:00.000 [info] still being wri');
+		await copyRawLogs();
+		assert.strictEqual(readCopy('2025-09-05').length, 1);
+
+		fs.appendFileSync(logFile, 'tten\n' + completionLine('2025-09-05 10:02:00.000', 300));
+		const result = await copyRawLogs();
+
+		assert.deepStrictEqual(result.lines, { '2025-09-05': 2 });
+		assert.deepStrictEqual(readCopy('2025-09-05').map(line => line.substring(0, 19)), [
+			'2025-09-05 10:00:00', '2025-09-05 10:01:00', '2025-09-05 10:02:00'
+		]);
+	});
+
+	test('A truncated log is copied again from the start', async () => {
+		fs.writeFileSync(logFile, completionLine('2025-09-05 10:00:00.000', 100) + completionLine('2025-09-05 10:01:00.000', 200));
+		await copyRawLogs();
+
+		fs.writeFileSync(logFile, completionLine('2025-09-05 11:00:00.000', 300));
+		const result = await copyRawLogs();
+
+		assert.deepStrictEqual(result.lines, { '2025-09-05': 1 });
+		assert.ok(readCopy('2025-09-05')[2].startsWith('2025-09-05 11:00'));
+	});
+
+	test('Days past their retention period are not copied or archived again', async () => {
+		await updateSettings({ rawLogRetentionDays: 10, archiveRetentionDays: 5 });
+		const daysAgo = days => addDaysToKey(todayKey(), -days);
+		fs.writeFileSync(logFile, [
+			completionLine(`${daysAgo(12)} 10:00:00.000`, 100),
+			completionLine(`${daysAgo(7)} 10:00:00.000`, 200),
+			completionLine(`${daysAgo(1)} 10:00:00.000`, 300)
+		].join(''));
+
+		const result = await copyRawLogs();
+
+		assert.deepStrictEqual(result.lines, { [daysAgo(7)]: 1, [daysAgo(1)]: 1 });
+		assert.ok(!fs.existsSync(path.join(logsDir, daysAgo(12))));
+		assert.strictEqual(readCopy(daysAgo(7)).length, 1);
+		assert.deepStrictEqual(fs.readdirSync(logsDir).filter(name => name.endsWith('.tar.gz')), [`${daysAgo(1)}_copilot_logs.tar.gz`]);
+		// The expired line was read past, not left for the next run
+		assert.deepStrictEqual((await copyRawLogs()).lines, {});
+		assert.ok(!fs.existsSync(path.join(logsDir, daysAgo(12))));
+	});
+
+	test('Files that are not Copilot logs are not copied', async () => {
+		const hashes = `${logFile}.hashes`;
+		const other = path.join(path.dirname(logFile), 'notes.txt');
+		fs.writeFileSync(hashes, '0123456789abcdef\n');
+		fs.writeFileSync(other, completionLine('2025-09-05 10:00:00.000', 100));
+
+		assert.strictEqual(await copyRawLogs([hashes, other]), null);
+		assert.deepStrictEqual(fs.readdirSync(logsDir), []);
+	});
+});
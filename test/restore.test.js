@@ -0,0 +1,142 @@
+const assert = require('assert');
+const fs = require('fs');
+const zlib = require('zlib');
+const os = require('os');
+const path = require('path');
+
+const LogCollector = require('../src/collector');
+const { restoreMetricsFromArchives } = require('../src/restore');
+const { ARCHIVE_MANIFEST_NAME, createDailyArchives, readMetricsFile } = require('../src/saver');
+const { readTarGzFile } = require('../src/tar-reader');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel,
+	createStateManager,
+	completionLine
+} = require('./test-utils');
+
+const DATE = '2025-09-04';
+const NEXT_DATE = '2025-09-05';
+const SESSION = '20250904T090000';
+
+suite('Restore Test Suite', () => {
+	let logsDir;
+	let sourceDir;
+	let logFile;
+	let metricsFile;
+	let collector;
+
+	/**
+	 * One collection with the raw log archive on, as collectWatchedFiles runs it
+	 */
+	async function collect(forceAll = false) {
+		collector.initializeState();
+		await collector.archiveRawLogs([logFile], {});
+		collector.updateCollectionState([logFile]);
+		await collector.parseAndSaveMetricsDirectly([logFile], true, null, forceAll);
+	}
+
+	function restore(toDate = DATE, outputChannel = createOutputChannel()) {
+		return restoreMetricsFromArchives({}, DATE, toDate, outputChannel, { dimensions: ['session'] });
+	}
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		await updateSettings({ rawLogArchive: true, timeZone: 'local', breakdowns: ['session'] });
+		sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-source-'));
+		logFile = path.join(sourceDir, SESSION, 'window1', 'exthost', 'GitHub.copilot', 'GitHub Copilot.log');
+		fs.mkdirSync(path.dirname(logFile), { recursive: true });
+		metricsFile = path.join(logsDir, 'metrics', `metrics_${DATE}.json`);
+		collector = new LogCollector(createStateManager(), { getConfig: () => ({}) }, createOutputChannel());
+	});
+
+	teardown(async () => {
+		await updateSettings({ rawLogArchive: undefined, timeZone: undefined, breakdowns: undefined });
+		await removeTempLogDirectory(logsDir);
+		fs.rmSync(sourceDir, { recursive: true, force: true });
+	});
+
+	test('The manifest records the source segments of each raw copy', async () => {
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100));
+		await collect();
+		fs.appendFileSync(logFile, completionLine(`${DATE} 10:01:00.000`, 200));
+		await collect();
+
+		const entries = readTarGzFile(path.join(logsDir, `${DATE}_copilot_logs.tar.gz`));
+		const manifest = JSON.parse(entries.find(entry => entry.name === `${DATE}/${ARCHIVE_MANIFEST_NAME}`).content.toString('utf8'));
+		const copy = manifest.files.find(file => file.name === `${DATE}/Visual Studio Code/${SESSION}/GitHub Copilot.log`);
+
+		const sourceId = readMetricsFile(metricsFile)[0].contributions[0].file;
+		// Both collections continue one run of the source log
+		assert.deepStrictEqual(copy.segments, [{ sourceId, start: 0, end: fs.statSync(logFile).size, offset: 0, length: copy.size }]);
+		assert.ok(!entries.some(entry => entry.name.endsWith('sources.json')));
+	});
+
+	test('Restored metrics use the source segments, product and session', async () => {
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100) + completionLine(`${DATE} 10:01:00.000`, 200));
+		await collect();
+		const [collected] = readMetricsFile(metricsFile);
+		fs.rmSync(metricsFile);
+
+		const result = await restore();
+
+		assert.deepStrictEqual(result.restoredDates, [DATE]);
+		const [restored] = readMetricsFile(metricsFile);
+		assert.strictEqual(restored.numRequests, 2);
+		assert.strictEqual(restored.ide, 'Visual Studio Code');
+		assert.deepStrictEqual(restored.sessions, { [SESSION]: 2 });
+		assert.deepStrictEqual(restored.contributions.map(c => [c.file, c.start, c.end]), collected.contributions.map(c => [c.file, c.start, c.end]));
+	});
+
+	test('Re-parsing the source log after a restore does not count it twice', async () => {
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100) + completionLine(`${DATE} 10:01:00.000`, 200));
+		await collect();
+		fs.appendFileSync(logFile, completionLine(`${DATE} 10:02:00.000`, 300));
+		await collect();
+		fs.rmSync(metricsFile);
+
+		await restore();
+		assert.strictEqual(readMetricsFile(metricsFile)[0].numRequests, 3);
+
+		await collect(true);
+		const [entry] = readMetricsFile(metricsFile);
+		assert.strictEqual(entry.numRequests, 3);
+		assert.strictEqual(entry.latency.count, 3);
+	});
+
+	test('An archive with an unreadable manifest is skipped, not the whole restore', async () => {
+		fs.writeFileSync(logFile, completionLine(`${DATE} 10:00:00.000`, 100) + completionLine(`${NEXT_DATE} 10:00:00.000`, 200));
+		await collect();
+		fs.rmSync(metricsFile);
+		fs.rmSync(path.join(logsDir, 'metrics', `metrics_${NEXT_DATE}.json`));
+
+		// The manifest is the first entry: cut its JSON short in place
+		const archiveName = `${NEXT_DATE}_copilot_logs.tar.gz`;
+		const archive = path.join(logsDir, archiveName);
+		const tar = zlib.gunzipSync(fs.readFileSync(archive));
+		tar.write('}', 512);
+		fs.writeFileSync(archive, zlib.gzipSync(tar));
+
+		const outputChannel = createOutputChannel();
+		const result = await restore(NEXT_DATE, outputChannel);
+
+		assert.deepStrictEqual(result.restoredDates, [DATE]);
+		assert.deepStrictEqual(result.corrupted, [archiveName]);
+		assert.strictEqual(readMetricsFile(metricsFile)[0].numRequests, 1);
+		assert.ok(outputChannel.lines.some(line => line.includes(`Could not read ${archiveName}`)), outputChannel.lines.join('\n'));
+	});
+
+	test('Archives from before segments were recorded are still restored', async () => {
+		const legacyCopy = path.join(logsDir, DATE, 'GitHub Copilot.log');
+		fs.mkdirSync(path.dirname(legacyCopy), { recursive: true });
+		fs.writeFileSync(legacyCopy, `\n=== ${DATE}T10:05:00.000Z ===\n${completionLine(`${DATE} 10:00:00.000`, 100)}\n`);
+		await createDailyArchives([DATE], {});
+
+		const result = await restore();
+
+		assert.strictEqual(result.records, 1);
+		assert.strictEqual(readMetricsFile(metricsFile)[0].numRequests, 1);
+	});
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StateManager = require('../src/state-manager');
+const HealthChecker = require('../src/health-check');
+const { isExpired, runRetentionCleanup } = require('../src/retention');
+const { todayKey, addDaysToKey } = require('../src/dates');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel
+} = require('./test-utils');
+
+const RETENTION_SETTINGS = {
+	timeZone: 'UTC',
+	metricsRetentionDays: 10,
+	eventLogRetentionDays: 3,
+	archiveRetentionDays: 0,
+	rawLogRetentionDays: 5
+};
+
+suite('Retention Test Suite', () => {
+	let logsDir;
+	let stateDir;
+	let stateManager;
+	let outputChannel;
+
+	function daysAgo(days) {
+		return addDaysToKey(todayKey(), -days);
+	}
+
+	function writeFile(relativePath, content = '{}') {
+		const file = path.join(logsDir, relativePath);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, content);
+	}
+
+	function listDates(dir, pattern) {
+		return fs.readdirSync(path.join(logsDir, dir))
+			.map(name => pattern.exec(name))
+			.filter(Boolean)
+			.map(match => match[1])
+			.sort();
+	}
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		await updateSettings(RETENTION_SETTINGS);
+		stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-state-'));
+		outputChannel = createOutputChannel();
+		stateManager = new StateManager({ globalStorageUri: { fsPath: stateDir } }, outputChannel);
+	});
+
+	teardown(async () => {
+		await updateSettings(Object.fromEntries(Object.keys(RETENTION_SETTINGS).map(key => [key, undefined])));
+		await removeTempLogDirectory(logsDir);
+		fs.rmSync(stateDir, { recursive: true, force: true });
+	});
+
+	test('A date is expired only before the first day of its retention period', () => {
+		assert.strictEqual(isExpired(daysAgo(11), 10), true);
+		assert.strictEqual(isExpired(daysAgo(10), 10), false);
+		assert.strictEqual(isExpired(daysAgo(400), 0), false);
+	});
+
+	test('Each data class is cleaned up with its own retention period', () => {
+		const ages = [2, 4, 7, 12];
+		for (const age of ages) {
+			const date = daysAgo(age);
+			writeFile(`metrics/metrics_${date}.json`);
+			writeFile(`events/events_${date}.ndjson`, '');
+			writeFile(`${date}_copilot_logs.tar.gz`, '');
+			writeFile(`${date}/GitHub Copilot.log`, '');
+		}
+		// Not a raw log folder: a file named like one is left alone
+		writeFile(daysAgo(30), '');
+
+		const removed = runRetentionCleanup(stateManager, null, outputChannel, 1000);
+
+		assert.deepStrictEqual(listDates('metrics', /^metrics_(.+)\.json$/), [daysAgo(7), daysAgo(4), daysAgo(2)]);
+		assert.deepStrictEqual(listDates('events', /^events_(.+)\.ndjson$/), [daysAgo(2)]);
+		assert.deepStrictEqual(listDates('.', /^(.+)_copilot_logs\.tar\.gz$/), ages.map(daysAgo).sort());
+		assert.deepStrictEqual(listDates('.', /^(\d{4}-\d{2}-\d{2})$/), [daysAgo(30), daysAgo(4), daysAgo(2)]);
+		assert.deepStrictEqual(removed.archives, []);
+		assert.strictEqual(removed.rawLogs.length, 2);
+
+		const state = stateManager.loadRetentionState();
+		assert.deepStrictEqual(state.removedTotals, { metrics: 1, events: 3, rawLogs: 2 });
+		assert.deepStrictEqual(state.lastRemovedAt, { metrics: 1000, events: 1000, rawLogs: 1000 });
+		assert.ok(outputChannel.lines.some(line => line.includes('removed 3 event log file(s) older than 3 days')), outputChannel.lines.join('\n'));
+	});
+
+	test('Metrics removed by retention are not treated as deleted by the health check', async () => {
+		writeFile(`metrics/metrics_${daysAgo(12)}.json`);
+		stateManager.saveParsingState({ processedFiles: {}, lastParse: Date.now() - 1000 });
+
+		runRetentionCleanup(stateManager, null, outputChannel);
+		const status = await new HealthChecker(stateManager, outputChannel).performHealthCheck();
+
+		assert.strictEqual(status.healthy, true);
+		assert.strictEqual(status.needsRecollection, false);
+		assert.ok(status.warnings.some(warning => warning.includes('retention period')), status.warnings.join('; '));
+	});
+
+	test('Metrics deleted after the last retention removal still trigger recovery', async () => {
+		writeFile(`metrics/metrics_${daysAgo(12)}.json`);
+		runRetentionCleanup(stateManager, null, outputChannel, Date.now() - 2000);
+
+		// Metrics written again later, then deleted by hand
+		stateManager.saveParsingState({ processedFiles: {}, lastParse: Date.now() - 1000 });
+		const status = await new HealthChecker(stateManager, outputChannel).performHealthCheck();
+
+		assert.strictEqual(status.healthy, false);
+		assert.strictEqual(status.needsRecollection, true);
+		assert.ok(status.issues.includes('All metrics files were deleted'), status.issues.join('; '));
+	});
+});
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StateManager = require('../src/state-manager');
+const HealthChecker = require('../src/health-check');
+const {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	createOutputChannel
+} = require('./test-utils');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2025, 9, 1);
+
+suite('State Compaction Test Suite', () => {
+	let logsDir;
+	let stateDir;
+	let sourceDir;
+	let outputChannel;
+	let stateManager;
+	let liveFile;
+	let goneFiles;
+
+	/**
+	 * Collection and parsing state tracking the live log and two deleted ones
+	 */
+	function saveStates() {
+		const files = [liveFile, ...goneFiles];
+		stateManager.saveCollectionState({
+			lastCollection: START,
+			processedFiles: files,
+			fileSizes: Object.fromEntries(files.map(file => [file, 100]))
+		});
+		stateManager.saveParsingState({
+			lastParse: START,
+			processedFiles: { [liveFile]: 100, [goneFiles[0]]: 1024 * 1024, [goneFiles[1]]: 1024 * 1024 },
+			fileIdentities: Object.fromEntries(files.map((file, i) => [file, { sourceId: `source-${i}`, generation: 0 }]))
+		});
+	}
+
+	function trackedFiles() {
+		return {
+			collection: stateManager.loadCollectionState().processedFiles.sort(),
+			parsing: Object.keys(stateManager.loadParsingState().processedFiles).sort(),
+			identities: Object.keys(stateManager.loadParsingState().fileIdentities).sort()
+		};
+	}
+
+	setup(async () => {
+		logsDir = await useTempLogDirectory();
+		stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-state-'));
+		sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-source-'));
+		outputChannel = createOutputChannel();
+		stateManager = new StateManager({ globalStorageUri: { fsPath: stateDir } }, outputChannel);
+
+		liveFile = path.join(sourceDir, '20251001T090000', 'GitHub Copilot.log');
+		fs.mkdirSync(path.dirname(liveFile), { recursive: true });
+		fs.writeFileSync(liveFile, 'x'.repeat(100));
+		goneFiles = [
+			path.join(sourceDir, '20250901T080000', 'GitHub Copilot.log'),
+			path.join(sourceDir, '20250915T080000', 'GitHub Copilot Chat.log')
+		];
+		saveStates();
+	});
+
+	teardown(async () => {
+		await removeTempLogDirectory(logsDir);
+		fs.rmSync(stateDir, { recursive: true, force: true });
+		fs.rmSync(sourceDir, { recursive: true, force: true });
+	});
+
+	test('Entries of vanished files are kept during the 7-day grace period', () => {
+		const first = stateManager.compactStates(START);
+		const later = stateManager.compactStates(START + 7 * DAY - 1);
+
+		for (const report of [first, later]) {
+			assert.deepStrictEqual(report, { prunedFiles: 0, prunedBytes: 0, pendingFiles: 2, totalPrunedFiles: 0 });
+		}
+		const all = [liveFile, ...goneFiles].sort();
+		assert.deepStrictEqual(trackedFiles(), { collection: all, parsing: all, identities: all });
+		// The grace period counts from when a file was first seen missing
+		assert.deepStrictEqual(stateManager.loadParsingState().missingSince, { [goneFiles[0]]: START, [goneFiles[1]]: START });
+	});
+
+	test('Entries of files missing for longer are pruned into a summary; existing files are kept', () => {
+		stateManager.compactStates(START);
+		const report = stateManager.compactStates(START + 7 * DAY);
+
+		assert.deepStrictEqual(report, { prunedFiles: 2, prunedBytes: 2 * 1024 * 1024, pendingFiles: 0, totalPrunedFiles: 2 });
+		assert.deepStrictEqual(trackedFiles(), { collection: [liveFile], parsing: [liveFile], identities: [liveFile] });
+		assert.deepStrictEqual(stateManager.loadCollectionState().fileSizes, { [liveFile]: 100 });
+
+		const parsingState = stateManager.loadParsingState();
+		assert.deepStrictEqual(parsingState.missingSince, {});
+		assert.deepStrictEqual(parsingState.pruned, {
+			files: 2,
+			bytes: 2 * 1024 * 1024,
+			oldestSession: '20250901T080000',
+			newestSession: '20250915T080000',
+			lastPrunedAt: START + 7 * DAY
+		});
+	});
+
+	test('A file that reappears within the grace period starts over', () => {
+		stateManager.compactStates(START);
+		fs.mkdirSync(path.dirname(goneFiles[0]), { recursive: true });
+		fs.writeFileSync(goneFiles[0], '');
+		stateManager.compactStates(START + DAY);
+		fs.rmSync(goneFiles[0]);
+
+		const report = stateManager.compactStates(START + 7 * DAY);
+
+		assert.strictEqual(report.prunedFiles, 1);
+		assert.strictEqual(report.pendingFiles, 1);
+		assert.deepStrictEqual(trackedFiles().parsing, [liveFile, goneFiles[0]].sort());
+		assert.strictEqual(stateManager.loadParsingState().missingSince[goneFiles[0]], START + 7 * DAY);
+	});
+
+	test('Rotated-away identities are dropped once retired for the grace period', () => {
+		const parsingState = stateManager.loadParsingState();
+		parsingState.rotatedFiles = [
+			{ sourceId: 'old', retiredAt: START - 7 * DAY },
+			{ sourceId: 'recent', retiredAt: START - DAY },
+			{ sourceId: 'unretired' }
+		];
+		stateManager.saveParsingState(parsingState);
+
+		stateManager.compactStates(START);
+
+		assert.deepStrictEqual(stateManager.loadParsingState().rotatedFiles.map(entry => entry.sourceId), ['recent', 'unretired']);
+	});
+
+	test('The health check prunes state and reports what it pruned', async () => {
+		const missingSince = { [goneFiles[0]]: Date.now() - 8 * DAY };
+		stateManager.saveCollectionState({ ...stateManager.loadCollectionState(), missingSince });
+		stateManager.saveParsingState({ ...stateManager.loadParsingState(), missingSince });
+
+		const status = await new HealthChecker(stateManager, outputChannel).performHealthCheck();
+
+		assert.deepStrictEqual(status.stateCompaction, { prunedFiles: 1, prunedBytes: 1024 * 1024, pendingFiles: 1, totalPrunedFiles: 1 });
+		assert.ok(outputChannel.lines.includes(
+			'🧹 Pruned state for 1 vanished log file(s) (1.0 MB parsed, 1 pruned in total); 1 more in the grace period'
+		), outputChannel.lines.join('\n'));
+	});
+
+	test('State is not compacted while another window holds the state lock', () => {
+		fs.writeFileSync(stateManager.getStateLockFile(), JSON.stringify({
+			pid: process.pid,
+			hostname: os.hostname(),
+			acquiredAt: Date.now(),
+			refreshedAt: Date.now()
+		}));
+
+		assert.strictEqual(stateManager.compactStates(START + 30 * DAY), null);
+		assert.strictEqual(trackedFiles().parsing.length, 3);
+	});
+});
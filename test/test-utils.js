@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+/**
+ * Shared fixtures for the test suites: a throw-away logs directory set as
+ * the logDirectory setting, and an output channel that keeps its lines.
+ */
+
+async function useTempLogDirectory() {
+	const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-logger-test-'));
+	await vscode.workspace.getConfiguration('avocado-copilot-logger')
+		.update('logDirectory', logsDir, vscode.ConfigurationTarget.Global);
+	return logsDir;
+}
+
+async function removeTempLogDirectory(logsDir) {
+	await vscode.workspace.getConfiguration('avocado-copilot-logger')
+		.update('logDirectory', undefined, vscode.ConfigurationTarget.Global);
+	fs.rmSync(logsDir, { recursive: true, force: true });
+}
+
+/**
+ * Set (or with undefined, reset) extension settings for one test
+ */
+async function updateSettings(settings) {
+	const config = vscode.workspace.getConfiguration('avocado-copilot-logger');
+	for (const [key, value] of Object.entries(settings)) {
+		await config.update(key, value, vscode.ConfigurationTarget.Global);
+	}
+}
+
+function createOutputChannel() {
+	const lines = [];
+	return { lines, appendLine: line => lines.push(line), show() {} };
+}
+
+/**
+ * Parsing and collection state store of the shape LogCollector expects from StateManager
+ */
+function createStateManager() {
+	let parsingState = { processedFiles: {}, fileIdentities: {} };
+	let collectionState = { lastCollection: 0, processedFiles: [], fileSizes: {} };
+	return {
+		loadParsingState: () => JSON.parse(JSON.stringify(parsingState)),
+		saveParsingState: state => { parsingState = JSON.parse(JSON.stringify(state)); },
+		loadCollectionState: () => JSON.parse(JSON.stringify(collectionState)),
+		saveCollectionState: state => {
+			collectionState = JSON.parse(JSON.stringify({ ...state, processedFiles: Array.from(state.processedFiles || []) }));
+		}
+	};
+}
+
+/**
+ * A completion log line as Copilot writes it
+ */
+function completionLine(time, durationMs, status = 200) {
+	return `${time} [info] [fetchCompletions] Request x at https://proxy.business.githubcopilot.com/v1/engines/gpt-41-copilot/completions finished with ${status} status after ${durationMs}ms\n`;
+}
+
+module.exports = {
+	useTempLogDirectory,
+	removeTempLogDirectory,
+	updateSettings,
+	createOutputChannel,
+	createStateManager,
+	completionLine
+};